@@ -5,10 +5,118 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { promisify } = require('util');
+const PVP_SKILLS = require('./data/pvp_skills.json');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ================= PASSWORD HASHING =================
+// Stored as `scrypt$N$r$p$salt$hash` (salt and hash base64) so parameters can be raised later.
+// Accounts created before this format hold an unsalted SHA-256 hex digest and are
+// rehashed the next time they log in.
+const PASSWORD_HASH = {
+    N: 16384,
+    r: 8,
+    p: 1,
+    saltBytes: 16,
+    keyLength: 64,
+};
+
+const hashPassword = async (password) => {
+    const { N, r, p, saltBytes, keyLength } = PASSWORD_HASH;
+    const salt = crypto.randomBytes(saltBytes);
+    const hash = await scrypt(password, salt, keyLength, { N, r, p });
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const isLegacyHash = (stored) => /^[0-9a-f]{64}$/.test(stored);
+
+const verifyPassword = async (password, stored) => {
+    if (!stored) return false;
+
+    if (isLegacyHash(stored)) {
+        const legacy = crypto.createHash('sha256').update(password).digest();
+        return crypto.timingSafeEqual(legacy, Buffer.from(stored, 'hex'));
+    }
+
+    const [algorithm, N, r, p, salt, hash] = stored.split('$');
+    if (algorithm !== 'scrypt' || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: parseInt(N), r: parseInt(r), p: parseInt(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+// True for legacy digests and hashes made with weaker parameters than PASSWORD_HASH
+const needsRehash = (stored) => {
+    if (isLegacyHash(stored)) return true;
+    const [algorithm, N, r, p] = stored.split('$');
+    return algorithm !== 'scrypt' ||
+        parseInt(N) < PASSWORD_HASH.N || parseInt(r) < PASSWORD_HASH.r || parseInt(p) < PASSWORD_HASH.p;
+};
+
+// ================= SESSION TOKENS =================
+// Tokens are base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+const SESSION = {
+    accessTtl: 15 * 60, // seconds
+    refreshTtl: 30 * 24 * 60 * 60, // seconds
+};
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    console.log('⚠️ No SESSION_SECRET - sessions will not survive a restart');
+}
+
+const signPayload = (payload) => {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', sessionSecret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+};
+
+// Returns the payload if the signature is valid, the type matches and it hasn't expired
+const verifyToken = (token, type) => {
+    if (typeof token !== 'string') return null;
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', sessionSecret).update(body).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+        if (payload.typ !== type) return null;
+        if (payload.exp <= Math.floor(Date.now() / 1000)) return null;
+        return payload;
+    } catch (err) {
+        return null;
+    }
+};
+
+// Issue an access/refresh token pair for a player.
+// Refresh tokens carry players.token_version so bumping it revokes them.
+const issueSession = (playerId, tokenVersion = 0) => {
+    const now = Math.floor(Date.now() / 1000);
+    return {
+        accessToken: signPayload({ sub: playerId, typ: 'access', iat: now, exp: now + SESSION.accessTtl }),
+        refreshToken: signPayload({
+            sub: playerId, typ: 'refresh', ver: tokenVersion, iat: now, exp: now + SESSION.refreshTtl
+        }),
+        expiresIn: SESSION.accessTtl
+    };
+};
 
-// Simple password hashing (for a game - not production banking!)
-const hashPassword = (password) => {
-    return crypto.createHash('sha256').update(password).digest('hex');
+// Strip secrets and session bookkeeping before sending a player row to a client
+const sanitizePlayer = (row) => {
+    const player = { ...row };
+    delete player.password_hash;
+    delete player.device_id_hash;
+    delete player.token_version;
+    delete player.last_restore_at;
+    return player;
 };
 
 // Database (PostgreSQL) - Optional
@@ -43,6 +151,34 @@ const io = new Server(server, {
 app.use(cors());
 app.use(express.json());
 
+// ================= AUTH MIDDLEWARE =================
+
+// Resolve the caller from `Authorization: Bearer <accessToken>`
+const requireAuth = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const payload = verifyToken(token, 'access');
+    if (!payload) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.playerId = payload.sub;
+    next();
+};
+
+// Reject requests whose path/body player isn't the authenticated caller
+const requireSelf = (field) => [requireAuth, (req, res, next) => {
+    const claimed = req.params[field] ?? req.body?.[field];
+    if (claimed !== req.playerId) {
+        return res.status(403).json({ error: 'You can only act as yourself' });
+    }
+    next();
+}];
+
 // ================= DATABASE SETUP =================
 const initDB = async () => {
     if (!pool) {
@@ -56,7 +192,7 @@ const initDB = async () => {
             CREATE TABLE IF NOT EXISTS players (
                 id VARCHAR(50) PRIMARY KEY,
                 username VARCHAR(50) NOT NULL,
-                password_hash VARCHAR(64),
+                password_hash VARCHAR(255),
                 display_name VARCHAR(50),
                 created_at TIMESTAMP DEFAULT NOW(),
                 gold INTEGER DEFAULT 100,
@@ -98,8 +234,16 @@ const initDB = async () => {
 
         // Add missing columns for migration (safe - doesn't error if exists)
         try {
-            await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS password_hash VARCHAR(64);`);
+            await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);`);
+            // Widen legacy SHA-256 columns to fit encoded scrypt hashes
+            await pool.query(`ALTER TABLE players ALTER COLUMN password_hash TYPE VARCHAR(255);`);
             await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS display_name VARCHAR(50);`);
+            await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS token_version INTEGER DEFAULT 0;`);
+
+            // Guest accounts
+            await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS is_guest BOOLEAN DEFAULT FALSE;`);
+            await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS device_id_hash VARCHAR(64);`);
+            await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_players_device ON players(device_id_hash);`);
 
             // Inventory columns for cloud save
             await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS owned_items JSONB DEFAULT '[]';`);
@@ -110,6 +254,26 @@ const initDB = async () => {
             await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS equipped_pet VARCHAR(50);`);
             await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS pity_counter INTEGER DEFAULT 0;`);
             await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS achievements JSONB DEFAULT '[]';`);
+            await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS inventory_revision INTEGER DEFAULT 0;`);
+            await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS last_restore_at TIMESTAMP;`);
+
+            // PvP match details
+            await pool.query(`ALTER TABLE pvp_matches ADD COLUMN IF NOT EXISTS turns INTEGER DEFAULT 0;`);
+            await pool.query(`ALTER TABLE pvp_matches ADD COLUMN IF NOT EXISTS duration_seconds INTEGER DEFAULT 0;`);
+            await pool.query(`ALTER TABLE pvp_matches ADD COLUMN IF NOT EXISTS end_reason VARCHAR(20) DEFAULT 'knockout';`);
+
+            // Hidden PvP skill rating (Glicko)
+            await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS pvp_rating REAL DEFAULT 1500;`);
+            await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS pvp_rating_deviation REAL DEFAULT 350;`);
+            await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS pvp_loadout JSONB DEFAULT '["special"]';`);
+
+            // Seeded battles: the seed plus starting fighters and action log reproduce a match
+            await pool.query(`ALTER TABLE pvp_matches ADD COLUMN IF NOT EXISTS seed BIGINT;`);
+            await pool.query(`ALTER TABLE pvp_matches ADD COLUMN IF NOT EXISTS replay JSONB;`);
+            await pool.query(`ALTER TABLE pvp_matches ADD COLUMN IF NOT EXISTS match_type VARCHAR(20) DEFAULT 'ranked';`);
+            await pool.query(`ALTER TABLE pvp_matches ADD COLUMN IF NOT EXISTS bot_name VARCHAR(50);`);
+            await pool.query(`ALTER TABLE pvp_matches ADD COLUMN IF NOT EXISTS player1_rounds INTEGER;`);
+            await pool.query(`ALTER TABLE pvp_matches ADD COLUMN IF NOT EXISTS player2_rounds INTEGER;`);
 
             // Friends table
             await pool.query(`
@@ -133,6 +297,133 @@ const initDB = async () => {
                 );
             `);
 
+            // Server-validated adventure runs, plus rejected submissions kept for review
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS player_runs (
+                    id SERIAL PRIMARY KEY,
+                    player_id VARCHAR(50) REFERENCES players(id) ON DELETE CASCADE,
+                    mode VARCHAR(50) DEFAULT 'normal',
+                    score INTEGER DEFAULT 0,
+                    day_reached INTEGER DEFAULT 0,
+                    enemies_killed INTEGER DEFAULT 0,
+                    bosses_killed INTEGER DEFAULT 0,
+                    max_combo INTEGER DEFAULT 0,
+                    gold_earned INTEGER DEFAULT 0,
+                    gems_earned INTEGER DEFAULT 0,
+                    duration_seconds INTEGER DEFAULT 0,
+                    completed BOOLEAN DEFAULT FALSE,
+                    items JSONB DEFAULT '{}',
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE TABLE IF NOT EXISTS rejected_runs (
+                    id SERIAL PRIMARY KEY,
+                    player_id VARCHAR(50) REFERENCES players(id) ON DELETE CASCADE,
+                    payload JSONB,
+                    reasons JSONB,
+                    reviewed BOOLEAN DEFAULT FALSE,
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_player_runs_player ON player_runs(player_id, created_at);
+            `);
+            await pool.query(`ALTER TABLE player_runs ADD COLUMN IF NOT EXISTS items JSONB DEFAULT '{}';`);
+
+            // Append-only record of every gold/gem/guild coin movement
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS currency_ledger (
+                    id SERIAL PRIMARY KEY,
+                    player_id VARCHAR(50) REFERENCES players(id) ON DELETE CASCADE,
+                    currency VARCHAR(20) NOT NULL,
+                    guild_id VARCHAR(50),
+                    delta INTEGER NOT NULL,
+                    balance INTEGER NOT NULL,
+                    reason VARCHAR(50) NOT NULL,
+                    source VARCHAR(100),
+                    metadata JSONB,
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_currency_ledger_player ON currency_ledger(player_id, id DESC);
+            `);
+
+            // Cloud-save history
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS save_snapshots (
+                    id SERIAL PRIMARY KEY,
+                    player_id VARCHAR(50) REFERENCES players(id) ON DELETE CASCADE,
+                    kind VARCHAR(20) NOT NULL,
+                    data JSONB NOT NULL,
+                    reason VARCHAR(50),
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_save_snapshots_player ON save_snapshots(player_id, kind, id DESC);
+            `);
+
+            // Single-elimination PvP tournaments. The whole bracket is created at start;
+            // later rounds fill in as winners advance.
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS tournaments (
+                    id SERIAL PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    starts_at TIMESTAMP NOT NULL,
+                    max_players INTEGER NOT NULL,
+                    prizes JSONB NOT NULL,
+                    status VARCHAR(20) DEFAULT 'registration',
+                    rounds INTEGER,
+                    finished_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE TABLE IF NOT EXISTS tournament_players (
+                    tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+                    player_id VARCHAR(50) REFERENCES players(id) ON DELETE CASCADE,
+                    seed INTEGER,
+                    placement INTEGER,
+                    registered_at TIMESTAMP DEFAULT NOW(),
+                    PRIMARY KEY (tournament_id, player_id)
+                );
+
+                CREATE TABLE IF NOT EXISTS tournament_matches (
+                    id SERIAL PRIMARY KEY,
+                    tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+                    round INTEGER NOT NULL,
+                    slot INTEGER NOT NULL,
+                    player1_id VARCHAR(50),
+                    player2_id VARCHAR(50),
+                    winner_id VARCHAR(50),
+                    status VARCHAR(20) DEFAULT 'pending',
+                    result VARCHAR(20),
+                    pvp_match_id INTEGER,
+                    ready_at TIMESTAMP,
+                    UNIQUE (tournament_id, round, slot)
+                );
+            `);
+
+            // PvP seasons and each player's archived end-of-season standing
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS seasons (
+                    id SERIAL PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    starts_at TIMESTAMP NOT NULL,
+                    ends_at TIMESTAMP NOT NULL,
+                    status VARCHAR(20) DEFAULT 'active',
+                    ended_at TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS season_results (
+                    season_id INTEGER REFERENCES seasons(id) ON DELETE CASCADE,
+                    player_id VARCHAR(50) REFERENCES players(id) ON DELETE CASCADE,
+                    final_trophies INTEGER NOT NULL,
+                    rank INTEGER NOT NULL,
+                    tier VARCHAR(20),
+                    trophies_after_reset INTEGER NOT NULL,
+                    rewards JSONB,
+                    PRIMARY KEY (season_id, player_id)
+                );
+            `);
+
             console.log('✅ Database migration complete');
         } catch (migrationErr) {
             console.log('⚠️ Migration skipped:', migrationErr.message);
@@ -146,8 +437,144 @@ const initDB = async () => {
     }
 };
 
+// Run `fn(client)` inside a transaction, rolling back if it throws
+const withTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+// ================= CURRENCY LEDGER =================
+// Every change to players.gold/gems or guild_members.guild_coins goes through changeBalance,
+// which updates the balance and appends a ledger row in the same statement sequence.
+// Pass a transaction client so the two can't drift apart.
+
+const CURRENCIES = ['gold', 'gems', 'guild_coins'];
+
+// Apply `delta` to a balance and record it. Throws an error with code INSUFFICIENT_FUNDS
+// rather than letting a balance go negative.
+const changeBalance = async (client, { playerId, currency, delta, reason, source, guildId = null, metadata = null }) => {
+    let result;
+    if (currency === 'guild_coins') {
+        result = await client.query(`
+            UPDATE guild_members SET guild_coins = guild_coins + $1
+            WHERE guild_id = $2 AND player_id = $3 AND guild_coins + $1 >= 0
+            RETURNING guild_coins as balance
+        `, [delta, guildId, playerId]);
+    } else if (currency === 'gold' || currency === 'gems') {
+        // Column name comes from the whitelist above, never from the client
+        result = await client.query(`
+            UPDATE players SET ${currency} = ${currency} + $1
+            WHERE id = $2 AND ${currency} + $1 >= 0
+            RETURNING ${currency} as balance
+        `, [delta, playerId]);
+    } else {
+        throw new Error(`Unknown currency: ${currency}`);
+    }
+
+    if (result.rows.length === 0) {
+        const err = new Error(`Not enough ${currency}`);
+        err.code = 'INSUFFICIENT_FUNDS';
+        throw err;
+    }
+
+    const balance = result.rows[0].balance;
+    await client.query(`
+        INSERT INTO currency_ledger (player_id, currency, guild_id, delta, balance, reason, source, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [playerId, currency, guildId, delta, balance, reason, source,
+        metadata ? JSON.stringify(metadata) : null]);
+
+    return balance;
+};
+
+// Append a correcting entry wherever a stored balance differs from its ledger sum
+// (accounts that predate the ledger, new signups' starting balances). Returns entries written.
+const reconcileLedger = async (db, { playerId = null, reason = 'reconciliation' } = {}) => {
+    if (!db) return 0;
+    let written = 0;
+
+    for (const currency of ['gold', 'gems']) {
+        const result = await db.query(`
+            INSERT INTO currency_ledger (player_id, currency, delta, balance, reason, source)
+            SELECT id, $1::VARCHAR, stored - ledger_sum, stored, $2::VARCHAR, 'reconcile'
+            FROM (
+                SELECT p.id, p.${currency} as stored, COALESCE(SUM(l.delta), 0) as ledger_sum
+                FROM players p
+                LEFT JOIN currency_ledger l ON l.player_id = p.id AND l.currency = $1
+                WHERE ($3::VARCHAR IS NULL OR p.id = $3)
+                GROUP BY p.id, p.${currency}
+            ) totals
+            WHERE stored <> ledger_sum
+        `, [currency, reason, playerId]);
+        written += result.rowCount;
+    }
+
+    const coins = await db.query(`
+        INSERT INTO currency_ledger (player_id, currency, guild_id, delta, balance, reason, source)
+        SELECT player_id, 'guild_coins', guild_id, stored - ledger_sum, stored, $1::VARCHAR, 'reconcile'
+        FROM (
+            SELECT gm.player_id, gm.guild_id, gm.guild_coins as stored, COALESCE(SUM(l.delta), 0) as ledger_sum
+            FROM guild_members gm
+            LEFT JOIN currency_ledger l
+                ON l.player_id = gm.player_id AND l.guild_id = gm.guild_id AND l.currency = 'guild_coins'
+            WHERE ($2::VARCHAR IS NULL OR gm.player_id = $2)
+            GROUP BY gm.player_id, gm.guild_id, gm.guild_coins
+        ) totals
+        WHERE stored <> ledger_sum
+    `, [reason, playerId]);
+    written += coins.rowCount;
+
+    return written;
+};
+
+// Reconcile every account once the schema is in place
+const initLedger = async () => {
+    if (!pool) return;
+    try {
+        const written = await reconcileLedger(pool);
+        console.log(`✅ Currency ledger reconciled (${written} adjustments)`);
+    } catch (err) {
+        console.log('⚠️ Ledger reconcile error:', err.message);
+    }
+};
+
 // ================= API ROUTES =================
 
+const GUEST_PREFIX = 'guest_';
+
+// Register rules, shared by /register and guest upgrades. Returns an error message or null.
+const validateRegistration = async (username, password) => {
+    if (!username || username.length < 3) {
+        return 'Username must be at least 3 characters';
+    }
+    if (username.toLowerCase().startsWith(GUEST_PREFIX)) {
+        return `Usernames starting with "${GUEST_PREFIX}" are reserved`;
+    }
+    if (!password || password.length < 4) {
+        return 'Password must be at least 4 characters';
+    }
+
+    // Check if username taken
+    const existing = await pool.query('SELECT id FROM players WHERE username = $1', [username.toLowerCase()]);
+    if (existing.rows.length > 0) {
+        return 'Username already taken';
+    }
+    return null;
+};
+
+// Device ids are client-generated secrets, so only their digest is stored
+const hashDeviceId = (deviceId) => crypto.createHash('sha256').update(deviceId).digest('hex');
+
 // Health check
 app.get('/', (req, res) => {
     res.json({ status: 'ok', game: 'Capybara Adventure', version: '1.0.0' });
@@ -157,33 +584,31 @@ app.get('/', (req, res) => {
 app.post('/api/player/register', async (req, res) => {
     const { username, password, displayName } = req.body;
 
-    if (!username || username.length < 3) {
-        return res.status(400).json({ error: 'Username must be at least 3 characters' });
-    }
-    if (!password || password.length < 4) {
-        return res.status(400).json({ error: 'Password must be at least 4 characters' });
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available - play as a guest' });
     }
 
     try {
-        // Check if username taken
-        const existing = await pool.query('SELECT id FROM players WHERE username = $1', [username.toLowerCase()]);
-        if (existing.rows.length > 0) {
-            return res.status(400).json({ error: 'Username already taken' });
+        const validationError = await validateRegistration(username, password);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
 
         // Create new player
         const playerId = uuidv4();
-        const passwordHash = hashPassword(password);
+        const passwordHash = await hashPassword(password);
         const result = await pool.query(
             'INSERT INTO players (id, username, password_hash, display_name) VALUES ($1, $2, $3, $4) RETURNING *',
             [playerId, username.toLowerCase(), passwordHash, displayName || username]
         );
 
-        // Don't send password hash to client
-        const player = { ...result.rows[0] };
-        delete player.password_hash;
+        // Record starting gold/gems in the ledger
+        await reconcileLedger(pool, { playerId, reason: 'starting_balance' });
+
+        // Don't send secrets to client
+        const player = sanitizePlayer(result.rows[0]);
 
-        res.json({ player, isNew: true });
+        res.json({ player, isNew: true, ...issueSession(player.id, result.rows[0].token_version) });
     } catch (err) {
         console.error('Register error:', err);
         res.status(500).json({ error: 'Server error' });
@@ -197,722 +622,3900 @@ app.post('/api/player/login', async (req, res) => {
     if (!username || !password) {
         return res.status(400).json({ error: 'Username and password required' });
     }
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available - play as a guest' });
+    }
 
     try {
-        const passwordHash = hashPassword(password);
         const result = await pool.query(
-            'SELECT * FROM players WHERE username = $1 AND password_hash = $2',
-            [username.toLowerCase(), passwordHash]
+            'SELECT * FROM players WHERE username = $1',
+            [username.toLowerCase()]
         );
 
-        if (result.rows.length === 0) {
+        const stored = result.rows[0]?.password_hash;
+        if (!stored || !(await verifyPassword(password, stored))) {
             return res.status(401).json({ error: 'Invalid username or password' });
         }
 
+        // Transparently upgrade legacy/weak hashes now that we have the plaintext
+        if (needsRehash(stored)) {
+            await pool.query(
+                'UPDATE players SET password_hash = $1 WHERE id = $2',
+                [await hashPassword(password), result.rows[0].id]
+            );
+        }
+
         // Update last seen
         await pool.query('UPDATE players SET last_seen = NOW() WHERE id = $1', [result.rows[0].id]);
 
-        // Don't send password hash to client
-        const player = { ...result.rows[0] };
-        delete player.password_hash;
+        // Don't send secrets to client
+        const player = sanitizePlayer(result.rows[0]);
 
-        res.json({ player, isNew: false });
+        res.json({ player, isNew: false, ...issueSession(player.id, result.rows[0].token_version) });
     } catch (err) {
         console.error('Login error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get player profile
-app.get('/api/player/:id', async (req, res) => {
-    try {
-        const result = await pool.query('SELECT * FROM players WHERE id = $1', [req.params.id]);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Player not found' });
-        }
-        res.json(result.rows[0]);
-    } catch (err) {
-        res.status(500).json({ error: 'Server error' });
-    }
-});
-
-// Update player stats
-app.put('/api/player/:id/stats', async (req, res) => {
-    const { gold, gems, trophies, high_score, total_enemies_killed, total_bosses_killed,
-        adventures_completed, max_day_reached, max_combo, equipped_skin } = req.body;
+// Create (or resume) a guest player bound to this device
+app.post('/api/player/guest', async (req, res) => {
+    const { deviceId, displayName } = req.body;
 
-    try {
-        const result = await pool.query(`
-            UPDATE players SET 
-                gold = COALESCE($2, gold),
-                gems = COALESCE($3, gems),
-                trophies = COALESCE($4, trophies),
-                high_score = GREATEST(high_score, COALESCE($5, 0)),
-                total_enemies_killed = total_enemies_killed + COALESCE($6, 0),
-                total_bosses_killed = total_bosses_killed + COALESCE($7, 0),
-                adventures_completed = adventures_completed + COALESCE($8, 0),
-                max_day_reached = GREATEST(max_day_reached, COALESCE($9, 0)),
-                max_combo = GREATEST(max_combo, COALESCE($10, 0)),
-                equipped_skin = COALESCE($11, equipped_skin),
-                last_seen = NOW()
-            WHERE id = $1
-            RETURNING *
-        `, [req.params.id, gold, gems, trophies, high_score, total_enemies_killed,
-            total_bosses_killed, adventures_completed, max_day_reached, max_combo, equipped_skin]);
-
-        res.json(result.rows[0]);
-    } catch (err) {
-        console.error('Update error:', err);
-        res.status(500).json({ error: 'Server error' });
+    if (typeof deviceId !== 'string' || deviceId.length < 16) {
+        return res.status(400).json({ error: 'Device ID must be at least 16 characters' });
     }
-});
 
-// Submit score to leaderboard
-app.post('/api/leaderboard', async (req, res) => {
-    const { player_id, score, day_reached, mode } = req.body;
+    // Memory-only mode: nothing is stored, so the session is for a player id derived
+    // from the device and lasts as long as the process does
+    if (!dbConnected) {
+        const playerId = GUEST_PREFIX + hashDeviceId(deviceId).slice(0, 16);
+        const player = { id: playerId, username: playerId, display_name: displayName || 'Guest', is_guest: true };
+        return res.json({ player, isNew: true, persisted: false, ...issueSession(playerId) });
+    }
 
     try {
-        await pool.query(
-            'INSERT INTO leaderboard (player_id, score, day_reached, mode) VALUES ($1, $2, $3, $4)',
-            [player_id, score, day_reached, mode || 'normal']
+        const deviceHash = hashDeviceId(deviceId);
+        const existing = await pool.query(
+            'SELECT * FROM players WHERE device_id_hash = $1 AND is_guest = TRUE',
+            [deviceHash]
         );
 
-        // Update player high score
-        await pool.query(
-            'UPDATE players SET high_score = GREATEST(high_score, $2) WHERE id = $1',
-            [player_id, score]
+        if (existing.rows.length > 0) {
+            await pool.query('UPDATE players SET last_seen = NOW() WHERE id = $1', [existing.rows[0].id]);
+            const player = sanitizePlayer(existing.rows[0]);
+            return res.json({ player, isNew: false, ...issueSession(player.id, existing.rows[0].token_version) });
+        }
+
+        const playerId = uuidv4();
+        const username = GUEST_PREFIX + crypto.randomBytes(5).toString('hex');
+        const result = await pool.query(
+            `INSERT INTO players (id, username, display_name, is_guest, device_id_hash)
+             VALUES ($1, $2, $3, TRUE, $4) RETURNING *`,
+            [playerId, username, displayName || 'Guest', deviceHash]
         );
+        await reconcileLedger(pool, { playerId, reason: 'starting_balance' });
 
-        res.json({ success: true });
+        const player = sanitizePlayer(result.rows[0]);
+        res.json({ player, isNew: true, ...issueSession(player.id, result.rows[0].token_version) });
     } catch (err) {
+        console.error('Guest login error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get leaderboard
-app.get('/api/leaderboard', async (req, res) => {
-    const { limit = 20, mode = 'all' } = req.query;
+// Attach a username/password to a guest, keeping the same player id and progress
+app.post('/api/player/:id/upgrade', requireSelf('id'), async (req, res) => {
+    const { id } = req.params;
+    const { username, password, displayName } = req.body;
 
     try {
-        let query = `
-            SELECT l.*, p.username, p.equipped_skin 
-            FROM leaderboard l 
-            JOIN players p ON l.player_id = p.id 
-        `;
+        const guest = await pool.query('SELECT is_guest FROM players WHERE id = $1', [id]);
+        if (guest.rows.length === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        if (!guest.rows[0].is_guest) {
+            return res.status(400).json({ error: 'Account is already registered' });
+        }
 
-        if (mode !== 'all') {
-            query += ` WHERE l.mode = '${mode}' `;
+        const validationError = await validateRegistration(username, password);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
 
-        query += ` ORDER BY l.score DESC LIMIT $1`;
+        // Unbind the device: from now on the account is reached with its password
+        const result = await pool.query(
+            `UPDATE players SET
+                username = $1,
+                password_hash = $2,
+                display_name = COALESCE($3, display_name),
+                is_guest = FALSE,
+                device_id_hash = NULL,
+                token_version = token_version + 1
+             WHERE id = $4
+             RETURNING *`,
+            [username.toLowerCase(), await hashPassword(password), displayName || null, id]
+        );
 
-        const result = await pool.query(query, [parseInt(limit)]);
-        res.json(result.rows);
+        const player = sanitizePlayer(result.rows[0]);
+        res.json({ player, upgraded: true, ...issueSession(player.id, result.rows[0].token_version) });
     } catch (err) {
+        console.error('Guest upgrade error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get PvP leaderboard (by trophies)
-app.get('/api/pvp/leaderboard', async (req, res) => {
-    const { limit = 20 } = req.query;
+// Exchange a refresh token for a new token pair
+app.post('/api/player/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const payload = verifyToken(refreshToken, 'refresh');
+    if (!payload) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    // Memory-only sessions have no account row to check against
+    if (!dbConnected) {
+        return res.json(issueSession(payload.sub, payload.ver ?? 0));
+    }
 
     try {
-        const result = await pool.query(
-            'SELECT id, username, trophies, equipped_skin FROM players ORDER BY trophies DESC LIMIT $1',
-            [parseInt(limit)]
-        );
-        res.json(result.rows);
+        // Make sure the account still exists and the token hasn't been revoked
+        const result = await pool.query('SELECT token_version FROM players WHERE id = $1', [payload.sub]);
+        if (result.rows.length === 0 || result.rows[0].token_version !== (payload.ver ?? 0)) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        res.json(issueSession(payload.sub, result.rows[0].token_version));
     } catch (err) {
+        console.error('Refresh error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// ================= CLOUD SAVE - INVENTORY =================
+// ================= ACCOUNT MANAGEMENT =================
 
-// Get player inventory
-app.get('/api/player/:id/inventory', async (req, res) => {
+// Change password (revokes existing refresh tokens)
+app.put('/api/player/:id/password', requireSelf('id'), async (req, res) => {
     const { id } = req.params;
+    const { currentPassword, newPassword } = req.body;
 
-    if (!dbConnected) {
-        return res.status(503).json({ error: 'Database not available' });
+    if (!newPassword || newPassword.length < 4) {
+        return res.status(400).json({ error: 'Password must be at least 4 characters' });
     }
 
     try {
-        const result = await pool.query(
-            `SELECT owned_items, owned_skins, owned_pets, equipped_weapon, equipped_armor, 
-             equipped_skin, equipped_pet, pity_counter, achievements
-             FROM players WHERE id = $1`,
-            [id]
-        );
-
+        const result = await pool.query('SELECT password_hash FROM players WHERE id = $1', [id]);
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Player not found' });
         }
+        if (!(await verifyPassword(currentPassword || '', result.rows[0].password_hash))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
 
-        const player = result.rows[0];
-        res.json({
-            ownedItems: player.owned_items || [],
-            ownedSkins: player.owned_skins || ['none'],
-            ownedPets: player.owned_pets || [],
-            equipped: {
-                weapon: player.equipped_weapon || null,
-                armor: player.equipped_armor || null,
-                skin: player.equipped_skin || 'none',
-                pet: player.equipped_pet || null
-            },
-            pityCounter: player.pity_counter || 0,
-            achievements: player.achievements || []
-        });
+        const updated = await pool.query(
+            'UPDATE players SET password_hash = $1, token_version = token_version + 1 WHERE id = $2 RETURNING token_version',
+            [await hashPassword(newPassword), id]
+        );
+
+        res.json({ success: true, ...issueSession(id, updated.rows[0].token_version) });
     } catch (err) {
-        console.error('Inventory fetch error:', err);
+        console.error('Change password error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Save player inventory
-app.put('/api/player/:id/inventory', async (req, res) => {
+// Delete account and everything tied to it
+app.delete('/api/player/:id', requireSelf('id'), async (req, res) => {
     const { id } = req.params;
-    const { ownedItems, ownedSkins, ownedPets, equipped, pityCounter, achievements } = req.body;
+    const { password } = req.body || {};
 
     if (!dbConnected) {
         return res.status(503).json({ error: 'Database not available' });
     }
 
     try {
-        await pool.query(
-            `UPDATE players SET 
-                owned_items = $1,
-                owned_skins = $2,
-                owned_pets = $3,
-                equipped_weapon = $4,
-                equipped_armor = $5,
-                equipped_skin = $6,
-                equipped_pet = $7,
-                pity_counter = $8,
-                achievements = $9,
-                last_seen = NOW()
-             WHERE id = $10`,
-            [
-                JSON.stringify(ownedItems || []),
-                JSON.stringify(ownedSkins || ['none']),
-                JSON.stringify(ownedPets || []),
-                equipped?.weapon || null,
-                equipped?.armor || null,
-                equipped?.skin || 'none',
-                equipped?.pet || null,
-                pityCounter || 0,
-                JSON.stringify(achievements || []),
-                id
-            ]
-        );
+        const result = await pool.query('SELECT password_hash, is_guest FROM players WHERE id = $1', [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        // Guests have no password to confirm with
+        if (!result.rows[0].is_guest && !(await verifyPassword(password || '', result.rows[0].password_hash))) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        // Take the player out of live PvP first; a match they're in counts as a forfeit
+        leaveQueues(p => p.playerId === id);
+        cancelChallengesFrom(id, 'account_deleted');
+        const matchId = playerMatches.get(id);
+        const match = matchId && activeMatches.get(matchId);
+        if (match) {
+            const opponent = match.players.find(p => p.playerId !== id);
+            await finishMatch(matchId, match, opponent.playerId, 'forfeit');
+        }
+
+        await withTransaction(async (client) => {
+            // Hand off or disband any guild this player leads
+            const led = await client.query('SELECT id FROM guilds WHERE leader_id = $1', [id]);
+            for (const { id: guildId } of led.rows) {
+                const successor = await client.query(`
+                    SELECT player_id FROM guild_members
+                    WHERE guild_id = $1 AND player_id <> $2
+                    ORDER BY joined_at ASC
+                    LIMIT 1
+                `, [guildId, id]);
+
+                if (successor.rows.length > 0) {
+                    const newLeaderId = successor.rows[0].player_id;
+                    await client.query('UPDATE guilds SET leader_id = $1 WHERE id = $2', [newLeaderId, guildId]);
+                    await client.query(
+                        'UPDATE guild_members SET role = $1 WHERE guild_id = $2 AND player_id = $3',
+                        ['leader', guildId, newLeaderId]
+                    );
+                } else {
+                    // Members, boss damage and invites cascade with the guild
+                    await client.query('DELETE FROM guilds WHERE id = $1', [guildId]);
+                }
+            }
+
+            await client.query(
+                'DELETE FROM guild_invites WHERE from_player_id = $1 OR to_player_id = $1',
+                [id]
+            );
+            await client.query('DELETE FROM guild_members WHERE player_id = $1', [id]);
+            await client.query('DELETE FROM guild_boss_damage WHERE player_id = $1', [id]);
+            await client.query('DELETE FROM friends WHERE user_id = $1 OR friend_id = $1', [id]);
+            await client.query('DELETE FROM friend_requests WHERE from_id = $1 OR to_id = $1', [id]);
+            await client.query('DELETE FROM leaderboard WHERE player_id = $1', [id]);
+
+            // Keep opponents' match history, but detach it from this player
+            await client.query('UPDATE pvp_matches SET winner_id = NULL WHERE winner_id = $1', [id]);
+            await client.query('UPDATE pvp_matches SET player1_id = NULL WHERE player1_id = $1', [id]);
+            await client.query('UPDATE pvp_matches SET player2_id = NULL WHERE player2_id = $1', [id]);
+
+            await client.query('DELETE FROM players WHERE id = $1', [id]);
+        });
+
+        io.in(playerRoom(id)).disconnectSockets(true);
 
+        console.log(`🗑️ Player ${id} deleted their account`);
         res.json({ success: true });
     } catch (err) {
-        console.error('Inventory save error:', err);
+        console.error('Delete account error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// ================= MATCH HISTORY =================
-
-// Get player's match history
-app.get('/api/player/:id/matches', async (req, res) => {
+// Export all personal data as a single JSON document
+app.get('/api/player/:id/export', requireSelf('id'), async (req, res) => {
     const { id } = req.params;
-    const { limit = 10 } = req.query;
 
     if (!dbConnected) {
         return res.status(503).json({ error: 'Database not available' });
     }
 
     try {
-        const result = await pool.query(
-            `SELECT m.*, 
-                    p1.username as player1_name, 
-                    p2.username as player2_name
-             FROM pvp_matches m
-             LEFT JOIN players p1 ON m.player1_id = p1.id
-             LEFT JOIN players p2 ON m.player2_id = p2.id
-             WHERE m.player1_id = $1 OR m.player2_id = $1
-             ORDER BY m.created_at DESC
-             LIMIT $2`,
-            [id, parseInt(limit)]
+        const profile = await pool.query('SELECT * FROM players WHERE id = $1', [id]);
+        if (profile.rows.length === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        const player = sanitizePlayer(profile.rows[0]);
+
+        const matches = await pool.query(`
+            SELECT m.*, p1.username as player1_name, p2.username as player2_name
+            FROM pvp_matches m
+            LEFT JOIN players p1 ON m.player1_id = p1.id
+            LEFT JOIN players p2 ON m.player2_id = p2.id
+            WHERE m.player1_id = $1 OR m.player2_id = $1
+            ORDER BY m.created_at DESC
+        `, [id]);
+
+        const friends = await pool.query(`
+            SELECT p.id, p.username, p.display_name, f.created_at
+            FROM friends f
+            JOIN players p ON f.friend_id = p.id
+            WHERE f.user_id = $1
+        `, [id]);
+
+        const friendRequests = await pool.query(
+            'SELECT * FROM friend_requests WHERE from_id = $1 OR to_id = $1',
+            [id]
         );
 
-        res.json(result.rows.map(match => ({
-            id: match.id,
-            opponent: match.player1_id === id ? match.player2_name : match.player1_name,
-            won: match.winner_id === id,
-            trophyChange: match.player1_id === id ? match.player1_trophies_change : match.player2_trophies_change,
-            date: match.created_at
-        })));
-    } catch (err) {
-        console.error('Match history error:', err);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
+        const guild = await pool.query(`
+            SELECT g.id, g.name, gm.role, gm.guild_coins, gm.joined_at
+            FROM guild_members gm
+            JOIN guilds g ON gm.guild_id = g.id
+            WHERE gm.player_id = $1
+        `, [id]);
 
-// ================= FRIENDS SYSTEM =================
+        const scores = await pool.query(
+            'SELECT score, day_reached, mode, created_at FROM leaderboard WHERE player_id = $1 ORDER BY created_at DESC',
+            [id]
+        );
 
-// Get friends list
-app.get('/api/player/:id/friends', async (req, res) => {
-    const { id } = req.params;
+        const runs = await pool.query(
+            'SELECT * FROM player_runs WHERE player_id = $1 ORDER BY created_at DESC',
+            [id]
+        );
 
-    if (!dbConnected) {
-        return res.json({ friends: [], pending: [], requests: [] });
+        res.setHeader('Content-Disposition', `attachment; filename="capybara-export-${id}.json"`);
+        res.json({
+            exportedAt: new Date().toISOString(),
+            profile: player,
+            inventory: formatInventory(player),
+            matches: matches.rows,
+            friends: friends.rows,
+            friendRequests: friendRequests.rows,
+            guild: guild.rows[0] || null,
+            leaderboardEntries: scores.rows,
+            runs: runs.rows
+        });
+    } catch (err) {
+        console.error('Export error:', err);
+        res.status(500).json({ error: 'Server error' });
     }
+});
 
+// Get player profile
+app.get('/api/player/:id', async (req, res) => {
     try {
-        // Get confirmed friends
-        const friendsResult = await pool.query(
-            `SELECT p.id, p.username, p.display_name, p.trophies, p.equipped_skin, p.last_seen
-             FROM friends f
-             JOIN players p ON f.friend_id = p.id
-             WHERE f.user_id = $1`,
-            [id]
-        );
-
-        // Get pending requests I've sent
-        const pendingResult = await pool.query(
-            `SELECT fr.id as request_id, p.id, p.username, p.display_name, fr.created_at
-             FROM friend_requests fr
-             JOIN players p ON fr.to_id = p.id
-             WHERE fr.from_id = $1 AND fr.status = 'pending'`,
-            [id]
-        );
-
-        // Get requests others sent me
-        const requestsResult = await pool.query(
-            `SELECT fr.id as request_id, p.id, p.username, p.display_name, p.trophies, fr.created_at
-             FROM friend_requests fr
-             JOIN players p ON fr.from_id = p.id
-             WHERE fr.to_id = $1 AND fr.status = 'pending'`,
-            [id]
-        );
-
+        const result = await pool.query('SELECT * FROM players WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        const player = result.rows[0];
         res.json({
-            friends: friendsResult.rows,
-            pending: pendingResult.rows,
-            requests: requestsResult.rows
+            ...sanitizePlayer(player),
+            pvp: {
+                trophies: player.trophies,
+                rating: Math.round(player.pvp_rating),
+                ratingDeviation: Math.round(player.pvp_rating_deviation)
+            }
         });
     } catch (err) {
-        console.error('Friends fetch error:', err);
-        res.json({ friends: [], pending: [], requests: [] });
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Send friend request
-app.post('/api/player/:id/friends/request', async (req, res) => {
+// ================= RUN RESULTS =================
+
+// Plausibility bounds for a single adventure run
+const RUN_LIMITS = {
+    maxDay: 1000,
+    goldPerDay: 500, // max gold per in-game day reached
+    gemsPerBoss: 10,
+    gemsCompletionBonus: 5,
+    killsPerDay: 60,
+    bossEveryDays: 5, // a boss at most every N days
+    maxCombo: 500,
+    scorePerDay: 5000,
+    minSecondsPerDay: 10,
+    maxValue: 2147483647, // every run field is stored in an INTEGER column
+    dailyGoldCap: 50000, // per player per calendar day, across all runs
+    dailyGemCap: 500,
+    dailyItemCap: 20, // copies of each drop per player per calendar day
+};
+
+// Items a run can drop, with how many copies are plausible per in-game day reached
+// or per boss killed. Runs reporting anything else are rejected.
+const RUN_DROPS = {
+    health_potion: { perDay: 1 },
+    wooden_shield: { perBoss: 1 },
+    iron_sword: { perBoss: 1 },
+};
+
+const RUN_FIELDS = ['score', 'day_reached', 'enemies_killed', 'bosses_killed', 'max_combo',
+    'gold_earned', 'gems_earned', 'duration_seconds'];
+
+// Returns a list of reasons the run is implausible (empty if it looks legit)
+const validateRun = (run) => {
+    const reasons = [];
+
+    for (const field of RUN_FIELDS) {
+        if (!Number.isInteger(run[field]) || run[field] < 0 || run[field] > RUN_LIMITS.maxValue) {
+            reasons.push(`${field} must be an integer between 0 and ${RUN_LIMITS.maxValue}`);
+        }
+    }
+    if (typeof run.mode !== 'string' || run.mode.length === 0 || run.mode.length > 50) {
+        reasons.push('mode must be a string of at most 50 characters');
+    }
+    if (reasons.length > 0) return reasons;
+
+    const day = run.day_reached;
+    if (day < 1 || day > RUN_LIMITS.maxDay) {
+        reasons.push(`day_reached must be between 1 and ${RUN_LIMITS.maxDay}`);
+    }
+    if (run.enemies_killed > day * RUN_LIMITS.killsPerDay) {
+        reasons.push('Too many enemies killed for the day reached');
+    }
+    if (run.bosses_killed > Math.floor(day / RUN_LIMITS.bossEveryDays) + 1) {
+        reasons.push('Too many bosses killed for the day reached');
+    }
+    if (run.score > day * RUN_LIMITS.scorePerDay) {
+        reasons.push('Score too high for the day reached');
+    }
+    if (run.max_combo > run.enemies_killed || run.max_combo > RUN_LIMITS.maxCombo) {
+        reasons.push('Combo exceeds enemies killed or combo limit');
+    }
+    if (run.gold_earned > day * RUN_LIMITS.goldPerDay) {
+        reasons.push('Too much gold earned for the day reached');
+    }
+    const gemCap = run.bosses_killed * RUN_LIMITS.gemsPerBoss + (run.completed ? RUN_LIMITS.gemsCompletionBonus : 0);
+    if (run.gems_earned > gemCap) {
+        reasons.push('Too many gems earned for the bosses killed');
+    }
+    if (run.duration_seconds < day * RUN_LIMITS.minSecondsPerDay) {
+        reasons.push('Run finished faster than possible');
+    }
+
+    if (!run.items || typeof run.items !== 'object' || Array.isArray(run.items)) {
+        reasons.push('items must be an object of item ID to quantity');
+        return reasons;
+    }
+    for (const [itemId, quantity] of Object.entries(run.items)) {
+        const drop = Object.hasOwn(RUN_DROPS, itemId) ? RUN_DROPS[itemId] : null;
+        if (!drop) {
+            reasons.push(`${itemId} cannot drop in a run`);
+        } else if (!validQuantity(quantity)) {
+            reasons.push(`${itemId} quantity must be between 1 and ${INVENTORY_MAX_QUANTITY}`);
+        } else if (quantity > day * (drop.perDay || 0) + run.bosses_killed * (drop.perBoss || 0)) {
+            reasons.push(`Too many ${itemId} dropped for the run`);
+        }
+    }
+
+    return reasons;
+};
+
+// Stats are server-authoritative now - clients report runs instead
+app.put('/api/player/:id/stats', requireSelf('id'), (req, res) => {
+    res.status(410).json({ error: 'Stats can no longer be set directly. Submit runs to POST /api/player/:id/runs' });
+});
+
+// Submit the result of an adventure run; the server applies the deltas and posts the
+// score to the leaderboard if they're plausible
+app.post('/api/player/:id/runs', requireSelf('id'), async (req, res) => {
     const { id } = req.params;
-    const { friendUsername } = req.body;
+    const run = {
+        score: req.body.score,
+        day_reached: req.body.day_reached,
+        enemies_killed: req.body.enemies_killed ?? 0,
+        bosses_killed: req.body.bosses_killed ?? 0,
+        max_combo: req.body.max_combo ?? 0,
+        gold_earned: req.body.gold_earned ?? 0,
+        gems_earned: req.body.gems_earned ?? 0,
+        duration_seconds: req.body.duration_seconds,
+        completed: req.body.completed === true,
+        mode: req.body.mode || 'normal',
+        items: req.body.items ?? {}
+    };
 
     if (!dbConnected) {
         return res.status(503).json({ error: 'Database not available' });
     }
 
     try {
-        // Find friend by username
-        const friendResult = await pool.query(
-            'SELECT id FROM players WHERE username = $1',
-            [friendUsername]
-        );
+        const result = await withTransaction(async (client) => {
+            // Lock the player row so concurrent submissions can't both slip under the daily caps
+            const player = await client.query('SELECT id FROM players WHERE id = $1 FOR UPDATE', [id]);
+            if (player.rows.length === 0) return null;
+
+            const reasons = validateRun(run);
+            if (reasons.length === 0) {
+                const today = await client.query(`
+                    SELECT COALESCE(SUM(gold_earned), 0) as gold, COALESCE(SUM(gems_earned), 0) as gems
+                    FROM player_runs
+                    WHERE player_id = $1 AND created_at >= CURRENT_DATE
+                `, [id]);
+                if (parseInt(today.rows[0].gold) + run.gold_earned > RUN_LIMITS.dailyGoldCap) {
+                    reasons.push('Daily gold cap exceeded');
+                }
+                if (parseInt(today.rows[0].gems) + run.gems_earned > RUN_LIMITS.dailyGemCap) {
+                    reasons.push('Daily gem cap exceeded');
+                }
 
-        if (friendResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Player not found' });
-        }
+                const dropsToday = await client.query(`
+                    SELECT item.key as item_id, SUM(item.value::INTEGER) as quantity
+                    FROM player_runs, jsonb_each_text(player_runs.items) item
+                    WHERE player_id = $1 AND created_at >= CURRENT_DATE
+                    GROUP BY item.key
+                `, [id]);
+                const dropped = Object.fromEntries(dropsToday.rows.map(row => [row.item_id, parseInt(row.quantity)]));
+                for (const [itemId, quantity] of Object.entries(run.items)) {
+                    if ((dropped[itemId] || 0) + quantity > RUN_LIMITS.dailyItemCap) {
+                        reasons.push(`Daily ${itemId} cap exceeded`);
+                    }
+                }
+            }
 
-        const friendId = friendResult.rows[0].id;
+            if (reasons.length > 0) {
+                await client.query(
+                    'INSERT INTO rejected_runs (player_id, payload, reasons) VALUES ($1, $2, $3)',
+                    [id, JSON.stringify(req.body), JSON.stringify(reasons)]
+                );
+                return { rejected: true, reasons };
+            }
 
-        if (friendId === id) {
-            return res.status(400).json({ error: 'Cannot add yourself' });
-        }
+            await snapshotStats(client, id, 'run');
+
+            const inserted = await client.query(`
+                INSERT INTO player_runs (player_id, mode, score, day_reached, enemies_killed, bosses_killed,
+                    max_combo, gold_earned, gems_earned, duration_seconds, completed, items)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                RETURNING id
+            `, [id, run.mode, run.score, run.day_reached, run.enemies_killed, run.bosses_killed,
+                run.max_combo, run.gold_earned, run.gems_earned, run.duration_seconds, run.completed,
+                JSON.stringify(run.items)]);
+
+            const runId = inserted.rows[0].id;
+            await client.query(
+                'INSERT INTO leaderboard (player_id, score, day_reached, mode) VALUES ($1, $2, $3, $4)',
+                [id, run.score, run.day_reached, run.mode]
+            );
 
-        // Check if already friends
-        const existingFriend = await pool.query(
-            'SELECT 1 FROM friends WHERE user_id = $1 AND friend_id = $2',
-            [id, friendId]
-        );
-        if (existingFriend.rows.length > 0) {
-            return res.status(400).json({ error: 'Already friends!' });
-        }
+            for (const currency of ['gold', 'gems']) {
+                const delta = run[`${currency}_earned`];
+                if (delta > 0) {
+                    await changeBalance(client, {
+                        playerId: id, currency, delta, reason: 'run_reward',
+                        source: 'POST /api/player/:id/runs', metadata: { runId }
+                    });
+                }
+            }
 
-        // Check if request already exists
-        const existingRequest = await pool.query(
-            'SELECT 1 FROM friend_requests WHERE from_id = $1 AND to_id = $2 AND status = \'pending\'',
-            [id, friendId]
-        );
-        if (existingRequest.rows.length > 0) {
-            return res.status(400).json({ error: 'Request already sent' });
-        }
+            // Drops were checked against RUN_DROPS above, so they're credited as-is
+            let inventory = null;
+            if (Object.keys(run.items).length > 0) {
+                ({ inventory } = await updateInventory(client, id, null, (inv) => {
+                    for (const [itemId, quantity] of Object.entries(run.items)) {
+                        grantToInventory(inv, { kind: 'item', itemId }, quantity);
+                    }
+                    return null;
+                }, 'run_drop'));
+            }
 
-        // Create friend request
-        await pool.query(
-            'INSERT INTO friend_requests (from_id, to_id, status) VALUES ($1, $2, \'pending\') ON CONFLICT (from_id, to_id) DO UPDATE SET status = \'pending\'',
-            [id, friendId]
-        );
+            const updated = await client.query(`
+                UPDATE players SET
+                    high_score = GREATEST(high_score, $2),
+                    total_enemies_killed = total_enemies_killed + $3,
+                    total_bosses_killed = total_bosses_killed + $4,
+                    adventures_completed = adventures_completed + $5,
+                    max_day_reached = GREATEST(max_day_reached, $6),
+                    max_combo = GREATEST(max_combo, $7),
+                    last_seen = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [id, run.score, run.enemies_killed, run.bosses_killed,
+                run.completed ? 1 : 0, run.day_reached, run.max_combo]);
+
+            return { rejected: false, player: updated.rows[0], inventory };
+        });
 
-        res.json({ success: true, message: 'Friend request sent!' });
+        if (!result) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        if (result.rejected) {
+            console.log(`🚩 Rejected run from ${id}: ${result.reasons.join('; ')}`);
+            return res.status(422).json({ error: 'Run rejected', reasons: result.reasons });
+        }
+
+        res.json({ success: true, player: sanitizePlayer(result.player), inventory: result.inventory });
     } catch (err) {
-        console.error('Send request error:', err);
+        console.error('Run submit error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Accept friend request
-app.post('/api/player/:id/friends/accept/:requestId', async (req, res) => {
-    const { id, requestId } = req.params;
+// Page through a player's currency movements, newest first (?before=<entry id> for the next page)
+app.get('/api/player/:id/ledger', requireSelf('id'), async (req, res) => {
+    const { id } = req.params;
+    const { currency, before, limit = 50 } = req.query;
 
     if (!dbConnected) {
         return res.status(503).json({ error: 'Database not available' });
     }
+    if (currency && !CURRENCIES.includes(currency)) {
+        return res.status(400).json({ error: `Currency must be one of: ${CURRENCIES.join(', ')}` });
+    }
 
     try {
-        // Get the request
-        const requestResult = await pool.query(
-            'SELECT from_id, to_id FROM friend_requests WHERE id = $1 AND to_id = $2 AND status = \'pending\'',
-            [requestId, id]
-        );
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+        const result = await pool.query(`
+            SELECT id, currency, guild_id, delta, balance, reason, source, metadata, created_at
+            FROM currency_ledger
+            WHERE player_id = $1
+              AND ($2::VARCHAR IS NULL OR currency = $2)
+              AND ($3::INTEGER IS NULL OR id < $3)
+            ORDER BY id DESC
+            LIMIT $4
+        `, [id, currency || null, before ? parseInt(before) : null, pageSize]);
+
+        const entries = result.rows;
+        res.json({
+            entries,
+            nextBefore: entries.length === pageSize ? entries[entries.length - 1].id : null
+        });
+    } catch (err) {
+        console.error('Ledger fetch error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        if (requestResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Request not found' });
-        }
+// Scores reach the leaderboard through validated runs only
+app.post('/api/leaderboard', requireSelf('player_id'), (req, res) => {
+    res.status(410).json({ error: 'Scores can no longer be posted directly. Submit runs to POST /api/player/:id/runs' });
+});
 
-        const { from_id, to_id } = requestResult.rows[0];
+// Time windows a leaderboard can be filtered to (SQL is fixed here, never built from input)
+const LEADERBOARD_WINDOWS = {
+    daily: 'l.created_at >= CURRENT_DATE',
+    weekly: "l.created_at >= DATE_TRUNC('week', NOW())",
+    // Since the current row in `seasons` started, not a calendar stand-in
+    season: "l.created_at >= (SELECT MAX(starts_at) FROM seasons WHERE status = 'active')",
+    all: null,
+};
 
-        // Add friendship both ways
-        await pool.query(
-            'INSERT INTO friends (user_id, friend_id) VALUES ($1, $2), ($2, $1) ON CONFLICT DO NOTHING',
-            [from_id, to_id]
-        );
+const LEADERBOARD_MAX_LIMIT = 100;
+
+// Builds a `ranked` CTE over leaderboard entries for a window/mode. With `best`, each player
+// only appears with their top score. Rows get `rank` (ties share) and a unique `position`.
+const rankedLeaderboardQuery = ({ window, mode, best }) => {
+    const params = [];
+    const filters = [];
+    if (LEADERBOARD_WINDOWS[window]) filters.push(LEADERBOARD_WINDOWS[window]);
+    if (mode !== 'all') {
+        params.push(mode);
+        filters.push(`l.mode = $${params.length}`);
+    }
+    const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+
+    const entries = best
+        ? `SELECT DISTINCT ON (l.player_id) l.*
+           FROM leaderboard l ${where}
+           ORDER BY l.player_id, l.score DESC, l.created_at ASC`
+        : `SELECT l.* FROM leaderboard l ${where}`;
+
+    return {
+        params,
+        sql: `
+            WITH entries AS (${entries}),
+            ranked AS (
+                SELECT e.*,
+                    RANK() OVER (ORDER BY e.score DESC) as rank,
+                    ROW_NUMBER() OVER (ORDER BY e.score DESC, e.created_at ASC) as position
+                FROM entries e
+            )`
+    };
+};
 
-        // Mark request as accepted
-        await pool.query(
-            'UPDATE friend_requests SET status = \'accepted\' WHERE id = $1',
-            [requestId]
-        );
+// Validate ?window=&mode= and fill defaults. Returns an error message or the options.
+const parseLeaderboardQuery = (query) => {
+    const { window = 'all', mode = 'all', best = 'true' } = query;
+    if (!(window in LEADERBOARD_WINDOWS)) {
+        return { error: `Window must be one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}` };
+    }
+    return { window, mode: String(mode), best: best !== 'false' };
+};
 
-        res.json({ success: true, message: 'Friend added!' });
+// Get leaderboard (?window=daily|weekly|season|all&mode=&limit=&offset=&best=false for every entry)
+app.get('/api/leaderboard', async (req, res) => {
+    const options = parseLeaderboardQuery(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), LEADERBOARD_MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    try {
+        const { sql, params } = rankedLeaderboardQuery(options);
+        const result = await pool.query(`
+            ${sql}
+            SELECT r.*, p.username, p.equipped_skin
+            FROM ranked r
+            JOIN players p ON r.player_id = p.id
+            ORDER BY r.position
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]);
+
+        res.json(result.rows.map(row => ({ ...row, rank: parseInt(row.rank), position: parseInt(row.position) })));
     } catch (err) {
-        console.error('Accept request error:', err);
+        console.error('Leaderboard error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Decline friend request
-app.post('/api/player/:id/friends/decline/:requestId', async (req, res) => {
-    const { id, requestId } = req.params;
+// A player's rank on a board plus the entries around them (?around=N on each side)
+app.get('/api/leaderboard/rank/:playerId', async (req, res) => {
+    const { playerId } = req.params;
+    const options = parseLeaderboardQuery({ ...req.query, best: 'true' });
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+    const around = Math.min(Math.max(parseInt(req.query.around) || 5, 0), 50);
 
-    if (!dbConnected) {
-        return res.status(503).json({ error: 'Database not available' });
+    try {
+        const { sql, params } = rankedLeaderboardQuery(options);
+        const playerParam = `$${params.length + 1}`;
+        const aroundParam = `$${params.length + 2}`;
+        const result = await pool.query(`
+            ${sql},
+            me AS (SELECT position FROM ranked WHERE player_id = ${playerParam})
+            SELECT r.*, p.username, p.equipped_skin
+            FROM ranked r
+            JOIN players p ON r.player_id = p.id, me
+            WHERE r.position BETWEEN me.position - ${aroundParam} AND me.position + ${aroundParam}
+            ORDER BY r.position
+        `, [...params, playerId, around]);
+
+        const entries = result.rows.map(row => ({ ...row, rank: parseInt(row.rank), position: parseInt(row.position) }));
+        const me = entries.find(entry => entry.player_id === playerId);
+        if (!me) {
+            return res.json({ playerId, rank: null, score: null, entries: [] });
+        }
+
+        res.json({ playerId, rank: me.rank, score: me.score, entries });
+    } catch (err) {
+        console.error('Leaderboard rank error:', err);
+        res.status(500).json({ error: 'Server error' });
     }
+});
+
+// Get PvP leaderboard (by trophies)
+app.get('/api/pvp/leaderboard', async (req, res) => {
+    const { limit = 20 } = req.query;
 
     try {
-        await pool.query(
-            'UPDATE friend_requests SET status = \'declined\' WHERE id = $1 AND to_id = $2',
-            [requestId, id]
+        const result = await pool.query(
+            'SELECT id, username, trophies, equipped_skin FROM players ORDER BY trophies DESC LIMIT $1',
+            [parseInt(limit)]
         );
-        res.json({ success: true });
+        res.json(result.rows);
     } catch (err) {
-        console.error('Decline request error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Remove friend  
-app.delete('/api/player/:id/friends/:friendId', async (req, res) => {
-    const { id, friendId } = req.params;
+// ================= FRIENDS LEADERBOARDS =================
+
+// The requesting player plus everyone on their friends list
+const FRIEND_CIRCLE_SQL = `
+    SELECT $1::VARCHAR as player_id
+    UNION
+    SELECT friend_id FROM friends WHERE user_id = $1
+`;
+
+// Without a database there are no friends - the board is just you
+const soloFriendsBoard = (playerId) => [{
+    rank: 1, id: playerId, isYou: true, trophies: 0, best: null, bestScores: {}
+}];
+
+// Friends score board: each player's best score per mode, ranked by `mode` (or overall best)
+app.get('/api/leaderboard/friends/:playerId', requireSelf('playerId'), async (req, res) => {
+    const { playerId } = req.params;
+    const options = parseLeaderboardQuery(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
 
     if (!dbConnected) {
-        return res.status(503).json({ error: 'Database not available' });
+        return res.json(soloFriendsBoard(playerId));
     }
 
     try {
-        // Remove both directions
-        await pool.query(
-            'DELETE FROM friends WHERE (user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1)',
-            [id, friendId]
-        );
-        res.json({ success: true });
+        const windowFilter = LEADERBOARD_WINDOWS[options.window];
+        const result = await pool.query(`
+            WITH circle AS (${FRIEND_CIRCLE_SQL})
+            SELECT p.id, p.username, p.display_name, p.equipped_skin, p.trophies, l.mode, MAX(l.score) as best
+            FROM circle c
+            JOIN players p ON p.id = c.player_id
+            LEFT JOIN leaderboard l ON l.player_id = p.id ${windowFilter ? `AND ${windowFilter}` : ''}
+            GROUP BY p.id, p.username, p.display_name, p.equipped_skin, p.trophies, l.mode
+        `, [playerId]);
+
+        // Fold the per-mode rows into one entry per player
+        const byPlayer = new Map();
+        for (const row of result.rows) {
+            if (!byPlayer.has(row.id)) {
+                byPlayer.set(row.id, {
+                    id: row.id,
+                    username: row.username,
+                    display_name: row.display_name,
+                    equipped_skin: row.equipped_skin,
+                    trophies: row.trophies,
+                    isYou: row.id === playerId,
+                    bestScores: {}
+                });
+            }
+            if (row.mode) byPlayer.get(row.id).bestScores[row.mode] = row.best;
+        }
+
+        const entries = Array.from(byPlayer.values()).map(entry => {
+            const scores = options.mode === 'all'
+                ? Object.values(entry.bestScores)
+                : [entry.bestScores[options.mode]].filter(score => score !== undefined);
+            return { ...entry, best: scores.length > 0 ? Math.max(...scores) : null };
+        });
+
+        entries.sort((a, b) => (b.best ?? -1) - (a.best ?? -1));
+        res.json(entries.map((entry, i) => ({ rank: i + 1, ...entry })));
     } catch (err) {
-        console.error('Remove friend error:', err);
+        console.error('Friends leaderboard error:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// ================= SOCKET.IO - TURN-BASED PVP =================
-const waitingPlayers = [];
-const activeMatches = new Map();
+// Friends trophy board
+app.get('/api/pvp/leaderboard/friends/:playerId', requireSelf('playerId'), async (req, res) => {
+    const { playerId } = req.params;
 
-// Battle state structure per match
-const createBattleState = (player1, player2) => ({
-    turn: 1,
-    players: {
-        [player1.playerId]: {
-            ...player1,
-            hp: 100,
-            maxHp: 100,
-            action: null,
-            specialCooldown: 0
-        },
-        [player2.playerId]: {
-            ...player2,
-            hp: 100,
-            maxHp: 100,
-            action: null,
-            specialCooldown: 0
-        }
+    if (!dbConnected) {
+        return res.json(soloFriendsBoard(playerId));
+    }
+
+    try {
+        const result = await pool.query(`
+            WITH circle AS (${FRIEND_CIRCLE_SQL})
+            SELECT p.id, p.username, p.display_name, p.equipped_skin, p.trophies
+            FROM circle c
+            JOIN players p ON p.id = c.player_id
+            ORDER BY p.trophies DESC, p.username ASC
+        `, [playerId]);
+
+        res.json(result.rows.map((row, i) => ({ rank: i + 1, ...row, isYou: row.id === playerId })));
+    } catch (err) {
+        console.error('Friends PvP leaderboard error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ================= CLOUD SAVE - INVENTORY =================
+// Every write bumps players.inventory_revision. Writers send the revision they last saw;
+// a stale one gets a 409 with the current inventory so the client can merge and retry.
+
+const INVENTORY_COLUMNS = `owned_items, owned_skins, owned_pets, equipped_weapon, equipped_armor,
+    equipped_skin, equipped_pet, pity_counter, achievements, inventory_revision`;
+
+// Which owned list each kind of item lives in, and which list each equip slot draws from
+const INVENTORY_KINDS = { item: 'ownedItems', skin: 'ownedSkins', pet: 'ownedPets' };
+const EQUIP_SLOTS = { weapon: 'ownedItems', armor: 'ownedItems', skin: 'ownedSkins', pet: 'ownedPets' };
+
+// Items stack one entry per copy, so every quantity a client sends is capped
+const INVENTORY_MAX_QUANTITY = 99;
+
+const validQuantity = (quantity) => Number.isInteger(quantity) && quantity >= 1 && quantity <= INVENTORY_MAX_QUANTITY;
+
+const formatInventory = (row) => ({
+    ownedItems: row.owned_items || [],
+    ownedSkins: row.owned_skins || ['none'],
+    ownedPets: row.owned_pets || [],
+    equipped: {
+        weapon: row.equipped_weapon || null,
+        armor: row.equipped_armor || null,
+        skin: row.equipped_skin || 'none',
+        pet: row.equipped_pet || null
     },
-    playerIds: [player1.playerId, player2.playerId],
-    status: 'waiting_actions' // 'waiting_actions', 'resolving', 'finished'
+    pityCounter: row.pity_counter || 0,
+    achievements: row.achievements || [],
+    revision: row.inventory_revision || 0
 });
 
-// Resolve turn when both players have submitted actions
-const resolveTurn = (matchId, match) => {
-    const battle = match.battleState;
-    const [p1Id, p2Id] = battle.playerIds;
-    const p1 = battle.players[p1Id];
-    const p2 = battle.players[p2Id];
+// Returns an error message if something equipped isn't owned
+const validateEquipped = (inventory) => {
+    for (const [slot, list] of Object.entries(EQUIP_SLOTS)) {
+        const equipped = inventory.equipped[slot];
+        if (equipped && equipped !== 'none' && !inventory[list].includes(equipped)) {
+            return `Cannot equip ${equipped}: not owned`;
+        }
+    }
+    return null;
+};
+
+// Lock the inventory, check the revision, apply `mutate` and save.
+// `mutate(inventory)` edits in place and returns an error message to abort.
+// Pass `expectedRevision = null` for server-side grants that shouldn't conflict.
+// The replaced inventory is kept as a snapshot tagged with `reason`.
+const updateInventory = async (client, playerId, expectedRevision, mutate, reason) => {
+    const result = await client.query(
+        `SELECT ${INVENTORY_COLUMNS} FROM players WHERE id = $1 FOR UPDATE`,
+        [playerId]
+    );
+    if (result.rows.length === 0) return { notFound: true };
+
+    const inventory = formatInventory(result.rows[0]);
+    if (expectedRevision !== null && expectedRevision !== inventory.revision) {
+        return { conflict: true, inventory };
+    }
+
+    const previous = structuredClone(inventory);
+    const error = mutate(inventory) || validateEquipped(inventory);
+    if (error) return { error };
+
+    await saveSnapshot(client, playerId, 'inventory', previous, reason);
+
+    const updated = await client.query(
+        `UPDATE players SET
+            owned_items = $1,
+            owned_skins = $2,
+            owned_pets = $3,
+            equipped_weapon = $4,
+            equipped_armor = $5,
+            equipped_skin = $6,
+            equipped_pet = $7,
+            pity_counter = $8,
+            achievements = $9,
+            inventory_revision = inventory_revision + 1,
+            last_seen = NOW()
+         WHERE id = $10
+         RETURNING ${INVENTORY_COLUMNS}`,
+        [
+            JSON.stringify(inventory.ownedItems),
+            JSON.stringify(inventory.ownedSkins),
+            JSON.stringify(inventory.ownedPets),
+            inventory.equipped.weapon,
+            inventory.equipped.armor,
+            inventory.equipped.skin,
+            inventory.equipped.pet,
+            inventory.pityCounter,
+            JSON.stringify(inventory.achievements),
+            playerId
+        ]
+    );
+
+    return { inventory: formatInventory(updated.rows[0]) };
+};
+
+// Shared handler for the inventory write endpoints
+const inventoryRoute = (reason, buildMutation) => async (req, res) => {
+    const { id } = req.params;
+    const { revision } = req.body;
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    if (!Number.isInteger(revision)) {
+        return res.status(400).json({ error: 'Current inventory revision required' });
+    }
+
+    const mutate = buildMutation(req.body);
+    if (typeof mutate === 'string') {
+        return res.status(400).json({ error: mutate });
+    }
 
-    // Calculate damage
-    let p1Damage = 0;
-    let p2Damage = 0;
+    try {
+        const result = await withTransaction(client => updateInventory(client, id, revision, mutate, reason));
+
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        if (result.conflict) {
+            return res.status(409).json({ error: 'Inventory has changed', inventory: result.inventory });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ success: true, inventory: result.inventory });
+    } catch (err) {
+        console.error(`Inventory ${reason} error:`, err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+// Get player inventory
+app.get('/api/player/:id/inventory', requireSelf('id'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        const result = await pool.query(`SELECT ${INVENTORY_COLUMNS} FROM players WHERE id = $1`, [id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        res.json(formatInventory(result.rows[0]));
+    } catch (err) {
+        console.error('Inventory fetch error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Save the client-owned parts of the inventory (full cloud save). Owned items, skins
+// and pets only change through the server - shop, gacha, rewards and consume.
+app.put('/api/player/:id/inventory', requireSelf('id'), inventoryRoute('save',
+    ({ equipped, achievements }) => (inventory) => {
+        inventory.equipped = {
+            weapon: equipped?.weapon || null,
+            armor: equipped?.armor || null,
+            skin: equipped?.skin || 'none',
+            pet: equipped?.pet || null
+        };
+        // pityCounter is owned by the server-side gacha and ignored here
+        inventory.achievements = achievements || [];
+    }
+));
+
+// Use up copies of a stackable item
+app.post('/api/player/:id/inventory/consume', requireSelf('id'), inventoryRoute('consume',
+    ({ itemId, quantity = 1 }) => {
+        if (!itemId || typeof itemId !== 'string') return 'Item ID required';
+        if (!validQuantity(quantity)) return `Quantity must be between 1 and ${INVENTORY_MAX_QUANTITY}`;
+
+        return (inventory) => {
+            const owned = inventory.ownedItems.filter(item => item === itemId).length;
+            if (owned < quantity) return `Only ${owned} of ${itemId} owned`;
+
+            let remaining = quantity;
+            inventory.ownedItems = inventory.ownedItems.filter(item => {
+                if (item === itemId && remaining > 0) {
+                    remaining--;
+                    return false;
+                }
+                return true;
+            });
+
+            // Last copy gone - take it out of any slot it was equipped in
+            if (!inventory.ownedItems.includes(itemId)) {
+                if (inventory.equipped.weapon === itemId) inventory.equipped.weapon = null;
+                if (inventory.equipped.armor === itemId) inventory.equipped.armor = null;
+            }
+            return null;
+        };
+    }
+));
+
+// Equip an owned item into a slot
+app.post('/api/player/:id/inventory/equip', requireSelf('id'), inventoryRoute('equip',
+    ({ slot, itemId }) => {
+        if (!EQUIP_SLOTS[slot]) return `Slot must be one of: ${Object.keys(EQUIP_SLOTS).join(', ')}`;
+        if (!itemId || typeof itemId !== 'string') return 'Item ID required';
+
+        return (inventory) => {
+            if (!inventory[EQUIP_SLOTS[slot]].includes(itemId)) return `Cannot equip ${itemId}: not owned`;
+            inventory.equipped[slot] = itemId;
+            return null;
+        };
+    }
+));
+
+// Empty a slot
+app.post('/api/player/:id/inventory/unequip', requireSelf('id'), inventoryRoute('unequip',
+    ({ slot }) => {
+        if (!EQUIP_SLOTS[slot]) return `Slot must be one of: ${Object.keys(EQUIP_SLOTS).join(', ')}`;
+
+        return (inventory) => {
+            inventory.equipped[slot] = slot === 'skin' ? 'none' : null;
+            return null;
+        };
+    }
+));
+
+// ================= CLOUD SAVE - SNAPSHOTS =================
+// Rolling history of inventory and stats states. A snapshot holds the state a write
+// replaced, so the latest one is always "what I had before my last save".
+
+const SNAPSHOTS = {
+    keep: 20, // per player, per kind
+    restoreCooldownMs: 24 * 60 * 60 * 1000,
+};
+
+const SNAPSHOT_KINDS = ['inventory', 'stats'];
+
+// Progression counters a stats snapshot can roll back. Gold, gems and trophies are
+// server-owned and ledger-backed, so they're recorded for reference but never restored.
+const STATS_COLUMNS = ['gold', 'gems', 'trophies', 'high_score', 'total_enemies_killed',
+    'total_bosses_killed', 'adventures_completed', 'max_day_reached', 'max_combo'];
+const RESTORABLE_STATS = ['high_score', 'total_enemies_killed', 'total_bosses_killed',
+    'adventures_completed', 'max_day_reached', 'max_combo'];
+
+const saveSnapshot = async (client, playerId, kind, data, reason) => {
+    await client.query(
+        'INSERT INTO save_snapshots (player_id, kind, data, reason) VALUES ($1, $2, $3, $4)',
+        [playerId, kind, JSON.stringify(data), reason]
+    );
+
+    // Drop everything older than the newest `keep`
+    await client.query(`
+        DELETE FROM save_snapshots
+        WHERE player_id = $1 AND kind = $2 AND id <= (
+            SELECT id FROM save_snapshots
+            WHERE player_id = $1 AND kind = $2
+            ORDER BY id DESC
+            OFFSET $3 LIMIT 1
+        )
+    `, [playerId, kind, SNAPSHOTS.keep]);
+};
+
+// Snapshot the current stats row (call before changing it)
+const snapshotStats = async (client, playerId, reason) => {
+    const result = await client.query(`SELECT ${STATS_COLUMNS.join(', ')} FROM players WHERE id = $1`, [playerId]);
+    if (result.rows.length > 0) {
+        await saveSnapshot(client, playerId, 'stats', result.rows[0], reason);
+    }
+};
+
+// List a player's snapshots, newest first
+app.get('/api/player/:id/snapshots', requireSelf('id'), async (req, res) => {
+    const { id } = req.params;
+    const { kind } = req.query;
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    if (kind && !SNAPSHOT_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `Kind must be one of: ${SNAPSHOT_KINDS.join(', ')}` });
+    }
+
+    try {
+        const result = await pool.query(`
+            SELECT id, kind, reason, data, created_at FROM save_snapshots
+            WHERE player_id = $1 AND ($2::VARCHAR IS NULL OR kind = $2)
+            ORDER BY id DESC
+        `, [id, kind || null]);
+
+        res.json({ snapshots: result.rows });
+    } catch (err) {
+        console.error('Snapshot list error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Restore a snapshot. The state it replaces is snapshotted too, so a restore can be undone.
+app.post('/api/player/:id/snapshots/:snapshotId/restore', requireSelf('id'), async (req, res) => {
+    const { id } = req.params;
+    const snapshotId = parseInt(req.params.snapshotId);
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    if (!Number.isInteger(snapshotId)) {
+        return res.status(400).json({ error: 'Invalid snapshot id' });
+    }
+
+    try {
+        const result = await withTransaction(async (client) => {
+            const player = await client.query('SELECT last_restore_at FROM players WHERE id = $1 FOR UPDATE', [id]);
+            if (player.rows.length === 0) return { status: 404, error: 'Player not found' };
+
+            const lastRestore = player.rows[0].last_restore_at;
+            if (lastRestore && Date.now() - new Date(lastRestore).getTime() < SNAPSHOTS.restoreCooldownMs) {
+                return { status: 429, error: 'You can only restore a save once per day' };
+            }
+
+            const snapshot = await client.query(
+                'SELECT kind, data FROM save_snapshots WHERE id = $1 AND player_id = $2',
+                [snapshotId, id]
+            );
+            if (snapshot.rows.length === 0) return { status: 404, error: 'Snapshot not found' };
+
+            const { kind, data } = snapshot.rows[0];
+            let restored;
+            if (kind === 'inventory') {
+                const update = await updateInventory(client, id, null, (inventory) => {
+                    // Owned items, skins and pets and pity are server-owned, so bringing back old
+                    // lists would duplicate anything used since. Only the loadout and achievements
+                    // come back, and only what's still owned can be re-equipped.
+                    for (const [slot, list] of Object.entries(EQUIP_SLOTS)) {
+                        const saved = data.equipped?.[slot];
+                        if (!saved || saved === 'none' || inventory[list].includes(saved)) {
+                            inventory.equipped[slot] = saved || (slot === 'skin' ? 'none' : null);
+                        }
+                    }
+                    inventory.achievements = [...new Set([...inventory.achievements, ...(data.achievements || [])])];
+                    return null;
+                }, 'restore');
+                if (update.error) return { status: 400, error: update.error };
+                restored = update.inventory;
+            } else {
+                await snapshotStats(client, id, 'restore');
+                const update = await client.query(`
+                    UPDATE players SET ${RESTORABLE_STATS.map((col, i) => `${col} = $${i + 2}`).join(', ')}
+                    WHERE id = $1
+                    RETURNING ${STATS_COLUMNS.join(', ')}
+                `, [id, ...RESTORABLE_STATS.map(col => data[col] ?? 0)]);
+                restored = update.rows[0];
+            }
+
+            await client.query('UPDATE players SET last_restore_at = NOW() WHERE id = $1', [id]);
+            return { kind, restored };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        console.log(`♻️ Player ${id} restored ${result.kind} snapshot ${snapshotId}`);
+        res.json({ success: true, kind: result.kind, [result.kind]: result.restored });
+    } catch (err) {
+        console.error('Snapshot restore error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ================= SHOP & GACHA =================
+
+// Fixed-price offers
+const SHOP_CATALOG = {
+    health_potion: { kind: 'item', itemId: 'health_potion', price: { currency: 'gold', amount: 50 } },
+    iron_sword: { kind: 'item', itemId: 'iron_sword', price: { currency: 'gold', amount: 500 } },
+    leather_armor: { kind: 'item', itemId: 'leather_armor', price: { currency: 'gold', amount: 400 } },
+    ninja_skin: { kind: 'skin', itemId: 'ninja', price: { currency: 'gems', amount: 200 } },
+    duckling_pet: { kind: 'pet', itemId: 'duckling', price: { currency: 'gems', amount: 300 } },
+};
+
+// Gacha banners. Rates per rarity must sum to 1; every `pityThreshold`-th pull without
+// hitting `pityRarity` is guaranteed to. Duplicate skins/pets convert to gold.
+const GACHA_BANNERS = {
+    standard: {
+        name: 'Standard Banner',
+        cost: { currency: 'gems', amount: 10 },
+        rates: { common: 0.79, rare: 0.18, legendary: 0.03 },
+        pityThreshold: 50,
+        pityRarity: 'legendary',
+        duplicateGold: { common: 10, rare: 50, legendary: 250 },
+        pool: {
+            common: [
+                { kind: 'item', itemId: 'health_potion' },
+                { kind: 'item', itemId: 'wooden_shield' },
+                { kind: 'item', itemId: 'iron_sword' },
+            ],
+            rare: [
+                { kind: 'item', itemId: 'steel_sword' },
+                { kind: 'item', itemId: 'chain_armor' },
+                { kind: 'skin', itemId: 'ninja' },
+            ],
+            legendary: [
+                { kind: 'item', itemId: 'dragon_blade' },
+                { kind: 'skin', itemId: 'golden' },
+                { kind: 'pet', itemId: 'phoenix' },
+            ],
+        },
+    },
+};
+
+const GACHA_MAX_PULLS = 10;
+
+// Pick a rarity by weight, honouring pity
+const rollRarity = (banner, pityCounter) => {
+    if (pityCounter >= banner.pityThreshold - 1) return banner.pityRarity;
+
+    let roll = Math.random();
+    for (const [rarity, rate] of Object.entries(banner.rates)) {
+        if (roll < rate) return rarity;
+        roll -= rate;
+    }
+    // Floating point leftovers land on the last rarity
+    return Object.keys(banner.rates).pop();
+};
+
+// Add an entry to an inventory. Returns false if it's a skin/pet the player already owns.
+// Server-side only: callers validate `quantity` first.
+const grantToInventory = (inventory, { kind, itemId }, quantity = 1) => {
+    const list = INVENTORY_KINDS[kind];
+    if (kind !== 'item') {
+        if (inventory[list].includes(itemId)) return false;
+        inventory[list].push(itemId);
+        return true;
+    }
+    for (let i = 0; i < quantity; i++) inventory.ownedItems.push(itemId);
+    return true;
+};
+
+// Map thrown INSUFFICIENT_FUNDS and PURCHASE_REJECTED errors to a 400
+const purchaseError = (res, err, label) => {
+    if (err.code === 'INSUFFICIENT_FUNDS' || err.code === 'PURCHASE_REJECTED') {
+        return res.status(400).json({ error: err.message });
+    }
+    console.error(`${label} error:`, err);
+    res.status(500).json({ error: 'Server error' });
+};
+
+// Shop catalog
+app.get('/api/shop', (req, res) => {
+    res.json({
+        offers: Object.entries(SHOP_CATALOG).map(([id, offer]) => ({ id, ...offer }))
+    });
+});
+
+// Buy a shop offer
+app.post('/api/player/:id/shop/purchase', requireSelf('id'), async (req, res) => {
+    const { id } = req.params;
+    const { offerId, quantity = 1 } = req.body;
+    const offer = Object.hasOwn(SHOP_CATALOG, offerId) ? SHOP_CATALOG[offerId] : null;
+
+    if (!offer) {
+        return res.status(404).json({ error: 'Offer not found' });
+    }
+    if (!validQuantity(quantity) || (offer.kind !== 'item' && quantity !== 1)) {
+        return res.status(400).json({ error: 'Invalid quantity' });
+    }
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        // Charge first so a player who can't pay never gets as far as the inventory
+        const result = await withTransaction(async (client) => {
+            const balance = await changeBalance(client, {
+                playerId: id,
+                currency: offer.price.currency,
+                delta: -offer.price.amount * quantity,
+                reason: 'shop_purchase',
+                source: 'POST /api/player/:id/shop/purchase',
+                metadata: { offerId, quantity }
+            });
+
+            const update = await updateInventory(client, id, null, (inventory) => (
+                grantToInventory(inventory, offer, quantity) ? null : `Already own ${offer.itemId}`
+            ), 'purchase');
+            if (update.notFound) return update;
+            if (update.error) {
+                // Throw so the charge above rolls back
+                const err = new Error(update.error);
+                err.code = 'PURCHASE_REJECTED';
+                throw err;
+            }
+            return { ...update, balance };
+        });
+
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        res.json({
+            success: true,
+            inventory: result.inventory,
+            balance: { [offer.price.currency]: result.balance }
+        });
+    } catch (err) {
+        purchaseError(res, err, 'Shop purchase');
+    }
+});
+
+// Banner costs and odds (published for disclosure)
+app.get('/api/gacha/banners', (req, res) => {
+    res.json({
+        banners: Object.entries(GACHA_BANNERS).map(([id, banner]) => ({
+            id,
+            name: banner.name,
+            cost: banner.cost,
+            maxPulls: GACHA_MAX_PULLS,
+            rates: banner.rates,
+            pity: { threshold: banner.pityThreshold, rarity: banner.pityRarity },
+            duplicateGold: banner.duplicateGold,
+            pool: Object.fromEntries(Object.entries(banner.pool).map(([rarity, entries]) => [
+                rarity,
+                entries.map(entry => ({ ...entry, rate: banner.rates[rarity] / entries.length }))
+            ]))
+        }))
+    });
+});
+
+// Pull on a banner: charge, roll server-side, update pity and grant the results
+app.post('/api/player/:id/gacha/:bannerId/pull', requireSelf('id'), async (req, res) => {
+    const { id, bannerId } = req.params;
+    const { count = 1 } = req.body;
+    const banner = Object.hasOwn(GACHA_BANNERS, bannerId) ? GACHA_BANNERS[bannerId] : null;
+
+    if (!banner) {
+        return res.status(404).json({ error: 'Banner not found' });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > GACHA_MAX_PULLS) {
+        return res.status(400).json({ error: `Count must be between 1 and ${GACHA_MAX_PULLS}` });
+    }
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        const result = await withTransaction(async (client) => {
+            const balance = await changeBalance(client, {
+                playerId: id,
+                currency: banner.cost.currency,
+                delta: -banner.cost.amount * count,
+                reason: 'gacha_pull',
+                source: 'POST /api/player/:id/gacha/:bannerId/pull',
+                metadata: { bannerId, count }
+            });
+
+            const pulls = [];
+            const update = await updateInventory(client, id, null, (inventory) => {
+                for (let i = 0; i < count; i++) {
+                    const rarity = rollRarity(banner, inventory.pityCounter);
+                    const entries = banner.pool[rarity];
+                    const entry = entries[Math.floor(Math.random() * entries.length)];
+
+                    inventory.pityCounter = rarity === banner.pityRarity ? 0 : inventory.pityCounter + 1;
+                    const isNew = grantToInventory(inventory, entry);
+                    pulls.push({ ...entry, rarity, duplicate: !isNew });
+                }
+                return null;
+            }, 'gacha');
+            if (update.notFound) return update;
+
+            // Duplicate skins/pets become gold
+            const refund = pulls
+                .filter(pull => pull.duplicate)
+                .reduce((sum, pull) => sum + banner.duplicateGold[pull.rarity], 0);
+            if (refund > 0) {
+                await changeBalance(client, {
+                    playerId: id, currency: 'gold', delta: refund, reason: 'gacha_duplicate',
+                    source: 'POST /api/player/:id/gacha/:bannerId/pull', metadata: { bannerId }
+                });
+            }
+
+            return { pulls, inventory: update.inventory, balance, refund };
+        });
+
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        res.json({
+            success: true,
+            pulls: result.pulls,
+            pityCounter: result.inventory.pityCounter,
+            duplicateGold: result.refund,
+            inventory: result.inventory,
+            balance: { [banner.cost.currency]: result.balance }
+        });
+    } catch (err) {
+        purchaseError(res, err, 'Gacha pull');
+    }
+});
+
+// ================= MATCH HISTORY =================
+
+// Get player's match history
+app.get('/api/player/:id/matches', async (req, res) => {
+    const { id } = req.params;
+    const { limit = 10 } = req.query;
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT m.*, 
+                    p1.username as player1_name, 
+                    p2.username as player2_name
+             FROM pvp_matches m
+             LEFT JOIN players p1 ON m.player1_id = p1.id
+             LEFT JOIN players p2 ON m.player2_id = p2.id
+             WHERE m.player1_id = $1 OR m.player2_id = $1
+             ORDER BY m.created_at DESC
+             LIMIT $2`,
+            [id, parseInt(limit)]
+        );
+
+        res.json(result.rows.map(match => ({
+            id: match.id,
+            opponent: (match.player1_id === id ? match.player2_name : match.player1_name) ?? match.bot_name,
+            vsBot: !!match.bot_name,
+            won: match.winner_id === id,
+            trophyChange: match.player1_id === id ? match.player1_trophies_change : match.player2_trophies_change,
+            turns: match.turns,
+            durationSeconds: match.duration_seconds,
+            endReason: match.end_reason,
+            matchType: match.match_type,
+            rounds: match.player1_rounds === null ? null : {
+                won: match.player1_id === id ? match.player1_rounds : match.player2_rounds,
+                lost: match.player1_id === id ? match.player2_rounds : match.player1_rounds
+            },
+            date: match.created_at
+        })));
+    } catch (err) {
+        console.error('Match history error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Seed and action log for re-simulating a finished match turn by turn
+app.get('/api/pvp/matches/:id/replay', async (req, res) => {
+    const matchId = parseInt(req.params.id);
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    if (!Number.isInteger(matchId)) {
+        return res.status(400).json({ error: 'Invalid match id' });
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT id, winner_id, end_reason, match_type, turns, seed, replay, created_at FROM pvp_matches WHERE id = $1',
+            [matchId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        const match = result.rows[0];
+        if (!match.replay) {
+            return res.status(404).json({ error: 'No replay recorded for this match' });
+        }
+
+        res.json({
+            id: match.id,
+            seed: Number(match.seed),
+            players: match.replay.players,
+            turns: match.replay.turns,
+            winnerId: match.winner_id,
+            matchType: match.match_type,
+            endReason: match.end_reason,
+            date: match.created_at
+        });
+    } catch (err) {
+        console.error('Replay error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ================= FRIENDS SYSTEM =================
+
+// Get friends list
+app.get('/api/player/:id/friends', requireSelf('id'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!dbConnected) {
+        return res.json({ friends: [], pending: [], requests: [] });
+    }
+
+    try {
+        // Get confirmed friends
+        const friendsResult = await pool.query(
+            `SELECT p.id, p.username, p.display_name, p.trophies, p.equipped_skin, p.last_seen
+             FROM friends f
+             JOIN players p ON f.friend_id = p.id
+             WHERE f.user_id = $1`,
+            [id]
+        );
+
+        // Get pending requests I've sent
+        const pendingResult = await pool.query(
+            `SELECT fr.id as request_id, p.id, p.username, p.display_name, fr.created_at
+             FROM friend_requests fr
+             JOIN players p ON fr.to_id = p.id
+             WHERE fr.from_id = $1 AND fr.status = 'pending'`,
+            [id]
+        );
+
+        // Get requests others sent me
+        const requestsResult = await pool.query(
+            `SELECT fr.id as request_id, p.id, p.username, p.display_name, p.trophies, fr.created_at
+             FROM friend_requests fr
+             JOIN players p ON fr.from_id = p.id
+             WHERE fr.to_id = $1 AND fr.status = 'pending'`,
+            [id]
+        );
+
+        res.json({
+            friends: friendsResult.rows,
+            pending: pendingResult.rows,
+            requests: requestsResult.rows
+        });
+    } catch (err) {
+        console.error('Friends fetch error:', err);
+        res.json({ friends: [], pending: [], requests: [] });
+    }
+});
+
+// Send friend request
+app.post('/api/player/:id/friends/request', requireSelf('id'), async (req, res) => {
+    const { id } = req.params;
+    const { friendUsername } = req.body;
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        // Find friend by username
+        const friendResult = await pool.query(
+            'SELECT id FROM players WHERE username = $1',
+            [friendUsername]
+        );
+
+        if (friendResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        const friendId = friendResult.rows[0].id;
+
+        if (friendId === id) {
+            return res.status(400).json({ error: 'Cannot add yourself' });
+        }
+
+        // Check if already friends
+        const existingFriend = await pool.query(
+            'SELECT 1 FROM friends WHERE user_id = $1 AND friend_id = $2',
+            [id, friendId]
+        );
+        if (existingFriend.rows.length > 0) {
+            return res.status(400).json({ error: 'Already friends!' });
+        }
+
+        // Check if request already exists
+        const existingRequest = await pool.query(
+            'SELECT 1 FROM friend_requests WHERE from_id = $1 AND to_id = $2 AND status = \'pending\'',
+            [id, friendId]
+        );
+        if (existingRequest.rows.length > 0) {
+            return res.status(400).json({ error: 'Request already sent' });
+        }
+
+        // Create friend request
+        await pool.query(
+            'INSERT INTO friend_requests (from_id, to_id, status) VALUES ($1, $2, \'pending\') ON CONFLICT (from_id, to_id) DO UPDATE SET status = \'pending\'',
+            [id, friendId]
+        );
+
+        res.json({ success: true, message: 'Friend request sent!' });
+    } catch (err) {
+        console.error('Send request error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Accept friend request
+app.post('/api/player/:id/friends/accept/:requestId', requireSelf('id'), async (req, res) => {
+    const { id, requestId } = req.params;
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        // Get the request
+        const requestResult = await pool.query(
+            'SELECT from_id, to_id FROM friend_requests WHERE id = $1 AND to_id = $2 AND status = \'pending\'',
+            [requestId, id]
+        );
+
+        if (requestResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        const { from_id, to_id } = requestResult.rows[0];
+
+        // Add friendship both ways
+        await pool.query(
+            'INSERT INTO friends (user_id, friend_id) VALUES ($1, $2), ($2, $1) ON CONFLICT DO NOTHING',
+            [from_id, to_id]
+        );
+
+        // Mark request as accepted
+        await pool.query(
+            'UPDATE friend_requests SET status = \'accepted\' WHERE id = $1',
+            [requestId]
+        );
+
+        res.json({ success: true, message: 'Friend added!' });
+    } catch (err) {
+        console.error('Accept request error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Decline friend request
+app.post('/api/player/:id/friends/decline/:requestId', requireSelf('id'), async (req, res) => {
+    const { id, requestId } = req.params;
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        await pool.query(
+            'UPDATE friend_requests SET status = \'declined\' WHERE id = $1 AND to_id = $2',
+            [requestId, id]
+        );
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Decline request error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Remove friend  
+app.delete('/api/player/:id/friends/:friendId', requireSelf('id'), async (req, res) => {
+    const { id, friendId } = req.params;
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        // Remove both directions
+        await pool.query(
+            'DELETE FROM friends WHERE (user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1)',
+            [id, friendId]
+        );
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Remove friend error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ================= PVP SKILLS & LOADOUTS =================
+// Skills live in data/pvp_skills.json. Basic skills are always available; the rest
+// go in a loadout, and skills with `requires` need that item, skin or pet owned.
+
+const PVP_LOADOUT = {
+    size: 4,
+    default: ['special'],
+};
+
+// Look up a skill by id; ids come from clients, so inherited keys like "toString" don't count
+const getSkill = (skillId) => (typeof skillId === 'string' && Object.hasOwn(PVP_SKILLS, skillId) ? PVP_SKILLS[skillId] : null);
+
+const skillOwned = (skill, inventory) => {
+    if (!skill.requires) return true;
+    const list = INVENTORY_KINDS[skill.requires.kind];
+    return !!list && inventory[list].includes(skill.requires.itemId);
+};
+
+// Returns an error message if the loadout can't be used
+const validateLoadout = (skills, inventory) => {
+    if (!Array.isArray(skills)) return 'skills must be an array';
+    if (skills.length > PVP_LOADOUT.size) return `A loadout holds at most ${PVP_LOADOUT.size} skills`;
+    if (new Set(skills).size !== skills.length) return 'Duplicate skills in loadout';
+    for (const skillId of skills) {
+        const skill = getSkill(skillId);
+        if (!skill) return `Unknown skill: ${skillId}`;
+        if (skill.basic) return `${skill.name} is always available and doesn't take a loadout slot`;
+        if (!skillOwned(skill, inventory)) return `Cannot use ${skill.name}: requires ${skill.requires.itemId}`;
+    }
+    return null;
+};
+
+// The stored loadout minus anything the player no longer owns
+const usableLoadout = (row) => {
+    const inventory = formatInventory(row);
+    const loadout = Array.isArray(row.pvp_loadout) ? row.pvp_loadout : PVP_LOADOUT.default;
+    return loadout.filter(id => getSkill(id) && !getSkill(id).basic && skillOwned(getSkill(id), inventory));
+};
+
+// Skill catalog
+app.get('/api/pvp/skills', (req, res) => {
+    res.json({ loadoutSize: PVP_LOADOUT.size, skills: PVP_SKILLS });
+});
+
+app.get('/api/player/:id/pvp/loadout', requireSelf('id'), async (req, res) => {
+    if (!dbConnected) {
+        return res.json({ loadout: PVP_LOADOUT.default, available: PVP_LOADOUT.default });
+    }
+
+    try {
+        const result = await pool.query(`SELECT pvp_loadout, ${INVENTORY_COLUMNS} FROM players WHERE id = $1`, [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        const inventory = formatInventory(result.rows[0]);
+        res.json({
+            loadout: usableLoadout(result.rows[0]),
+            available: Object.keys(PVP_SKILLS).filter(id => !PVP_SKILLS[id].basic && skillOwned(PVP_SKILLS[id], inventory))
+        });
+    } catch (err) {
+        console.error('Get loadout error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.put('/api/player/:id/pvp/loadout', requireSelf('id'), async (req, res) => {
+    const { skills } = req.body;
+
+    if (!dbConnected) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        const result = await pool.query(`SELECT ${INVENTORY_COLUMNS} FROM players WHERE id = $1`, [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        const error = validateLoadout(skills, formatInventory(result.rows[0]));
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await pool.query('UPDATE players SET pvp_loadout = $1 WHERE id = $2', [JSON.stringify(skills), req.params.id]);
+        res.json({ success: true, loadout: skills });
+    } catch (err) {
+        console.error('Set loadout error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ================= SOCKET.IO - TURN-BASED PVP =================
+
+// Sockets use the same access token, sent as `auth: { token }` or an Authorization header
+io.use((socket, next) => {
+    const header = socket.handshake.headers.authorization || '';
+    const token = socket.handshake.auth?.token || header.replace(/^Bearer /, '');
+    const payload = verifyToken(token, 'access');
+    if (!payload) {
+        return next(new Error('Authentication required'));
+    }
+    socket.data.playerId = payload.sub;
+    next();
+});
+
+const waitingPlayers = { ranked: [], casual: [], series: [] }; // one waiting list per queue type
+const activeMatches = new Map();
+const playerMatches = new Map(); // playerId -> matchId, so a reconnecting player finds their match
+
+// How long a dropped player has to reconnect before the match is forfeited
+const PVP_RECONNECT = {
+    graceMs: parseInt(process.env.PVP_RECONNECT_GRACE_MS) || 30000,
+};
+
+// Combat stats come from the player's saved equipment, never from the client
+const PVP_BASE_STATS = { maxHp: 100, attack: 20, defense: 0, critChance: 0.05 };
+
+const EQUIPMENT_STATS = {
+    iron_sword: { attack: 4 },
+    steel_sword: { attack: 8, critChance: 0.03 },
+    dragon_blade: { attack: 14, critChance: 0.08 },
+    wooden_shield: { defense: 2, maxHp: 5 },
+    leather_armor: { defense: 3, maxHp: 10 },
+    chain_armor: { defense: 6, maxHp: 20 },
+};
+
+// Pet passives trigger automatically during a match
+const PET_PASSIVES = {
+    duckling: { name: 'Paddle', healPerTurn: 3 },
+    phoenix: { name: 'Rebirth', reviveHpRatio: 0.3 }, // once per match
+};
+
+const PVP_COMBAT = {
+    critMultiplier: 1.5,
+};
+
+// Skills cost energy, which refills a little every turn
+const PVP_ENERGY = {
+    start: 3,
+    perTurn: 2,
+    max: 10,
+};
+
+// Order skill effects resolve in within a turn: protection first so it covers this
+// turn's hits, then healing and damage, then effects that linger into later turns
+const EFFECT_PRIORITY = ['shield', 'buff', 'debuff', 'heal', 'damage', 'poison', 'stun'];
+
+const buildCombatStats = (row) => {
+    const stats = { ...PVP_BASE_STATS };
+    for (const itemId of [row?.equipped_weapon, row?.equipped_armor]) {
+        const bonus = EQUIPMENT_STATS[itemId];
+        if (!bonus) continue;
+        for (const [stat, value] of Object.entries(bonus)) stats[stat] += value;
+    }
+    stats.critChance = Math.min(stats.critChance, 1);
+    stats.pet = PET_PASSIVES[row?.equipped_pet] ? row.equipped_pet : null;
+    return stats;
+};
+
+// Each turn has a deadline; idle players are auto-defended, and too many idle turns in a row forfeit
+const PVP_TURN = {
+    timeoutMs: parseInt(process.env.PVP_TURN_TIMEOUT_MS) || 20000,
+    defaultAction: 'defend',
+    maxIdleTurns: 3,
+};
+
+// Players left waiting this long get a server-driven bot instead
+const PVP_BOTS = {
+    waitMs: parseInt(process.env.PVP_BOT_WAIT_MS) || 30000,
+    trophyMultiplier: 0.5, // bot wins and losses count for half
+    lowHpRatio: 0.3, // defend at or below this share of max HP
+    names: ['Sir Paddington', 'Mossy', 'Captain Bark', 'Lady Lilypad', 'Old Reed', 'Pebble'],
+};
+
+// Only rated match types move trophies and hidden rating. A series is played
+// over rounds until someone reaches `roundsToWin`, then rated once.
+const PVP_MATCH_TYPES = {
+    ranked: { rated: true },
+    casual: { rated: false },
+    series: { rated: true, roundsToWin: 2 }, // best of three
+    friendly: { rated: false }, // private challenges and lobbies
+    tournament: { rated: false }, // bracket matches; prizes instead of trophies
+};
+
+// Take a player (or socket) out of every queue; returns the removed entries
+const leaveQueues = (matches) => {
+    const removed = [];
+    Object.values(waitingPlayers).forEach(queue => {
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if (matches(queue[i])) removed.push(...queue.splice(i, 1));
+        }
+    });
+    return removed;
+};
+
+// Trophy changes for an evenly matched game; upsets scale these by up to 2x
+const PVP_TROPHIES = {
+    win: 20,
+    loss: 10,
+};
+
+const PVP_RATING = {
+    initial: 1500,
+    initialDeviation: 350,
+    minDeviation: 30,
+};
+
+const GLICKO_Q = Math.log(10) / 400;
+const glickoG = (deviation) => 1 / Math.sqrt(1 + 3 * GLICKO_Q ** 2 * deviation ** 2 / Math.PI ** 2);
+const expectedScore = (player, opponent) =>
+    1 / (1 + 10 ** (-glickoG(opponent.deviation) * (player.rating - opponent.rating) / 400));
+
+// Glicko-1 update for a single game. `score` is 1 for a win, 0 for a loss.
+const glickoUpdate = (player, opponent, score) => {
+    const g = glickoG(opponent.deviation);
+    const expected = expectedScore(player, opponent);
+    const dSquared = 1 / (GLICKO_Q ** 2 * g ** 2 * expected * (1 - expected));
+    const precision = 1 / player.deviation ** 2 + 1 / dSquared;
+    return {
+        rating: player.rating + (GLICKO_Q / precision) * g * (score - expected),
+        deviation: Math.max(PVP_RATING.minDeviation, Math.sqrt(1 / precision))
+    };
+};
+
+// New ratings plus trophy deltas for both sides. An even match gives +20/-10;
+// beating a stronger player (or losing to a weaker one) moves trophies further.
+const rateMatch = (winner, loser) => {
+    const winnerExpected = expectedScore(winner, loser);
+    return {
+        winner: {
+            ...glickoUpdate(winner, loser, 1),
+            trophyChange: Math.max(1, Math.round(PVP_TROPHIES.win * 2 * (1 - winnerExpected)))
+        },
+        loser: {
+            ...glickoUpdate(loser, winner, 0),
+            trophyChange: -Math.max(1, Math.round(PVP_TROPHIES.loss * 2 * (1 - winnerExpected)))
+        }
+    };
+};
+
+const ratingOf = (row) => ({
+    rating: row?.pvp_rating ?? PVP_RATING.initial,
+    deviation: row?.pvp_rating_deviation ?? PVP_RATING.initialDeviation
+});
+
+// Trophy band matchmaking: a player accepts opponents within `band` trophies,
+// and the band widens the longer they wait
+const MATCHMAKING = {
+    baseBand: 100,
+    bandGrowthPerSecond: 20,
+    maxBand: 2000,
+    sweepIntervalMs: 2000,
+    waitSamples: 20,
+};
+
+const recentWaits = []; // seconds waited by the last few matched players
+
+const searchBand = (entry, now = Date.now()) => {
+    const waitedSeconds = (now - entry.queuedAt) / 1000;
+    return Math.min(MATCHMAKING.maxBand, MATCHMAKING.baseBand + waitedSeconds * MATCHMAKING.bandGrowthPerSecond);
+};
+
+const recordWait = (entry, now) => {
+    recentWaits.push((now - entry.queuedAt) / 1000);
+    if (recentWaits.length > MATCHMAKING.waitSamples) recentWaits.shift();
+};
+
+// Seconds until the closest queued opponent falls inside the band,
+// falling back to the recent average when nobody suitable is waiting
+const estimateWait = (entry) => {
+    const now = Date.now();
+    const gaps = waitingPlayers[entry.queueType]
+        .filter(p => p.playerId !== entry.playerId)
+        .map(p => {
+            const gap = Math.abs(p.trophies - entry.trophies);
+            // Either side's band can cover the gap
+            const needed = (band) => Math.max(0, (gap - band) / MATCHMAKING.bandGrowthPerSecond);
+            return Math.min(needed(searchBand(entry, now)), needed(searchBand(p, now)));
+        });
+
+    // Nobody waits longer than the bot fallback
+    const sweepSeconds = MATCHMAKING.sweepIntervalMs / 1000;
+    const botSeconds = Math.ceil(PVP_BOTS.waitMs / 1000 + sweepSeconds);
+    if (gaps.length > 0) return Math.min(botSeconds, Math.ceil(Math.min(...gaps) + sweepSeconds));
+    if (recentWaits.length === 0) return botSeconds;
+    return Math.min(botSeconds, Math.ceil(recentWaits.reduce((sum, w) => sum + w, 0) / recentWaits.length));
+};
+
+// Everything needed to re-run a match: starting fighters plus each turn's actions
+const buildReplay = (match) => ({
+    players: match.players.map(p => ({
+        id: p.playerId,
+        username: p.username,
+        isBot: !!p.isBot,
+        stats: p.combat,
+        loadout: p.loadout
+    })),
+    turns: match.actionLog
+});
+
+// Write a finished match and both trophy changes in one transaction. Returns the
+// pvp_matches id and the deltas actually applied (trophies never drop below 0).
+// Players whose account was deleted mid-match are stored as NULL.
+const recordMatchResult = async (match, winnerId, reason) => {
+    const [p1Id, p2Id] = match.battleState.playerIds;
+    const loserId = winnerId === p1Id ? p2Id : p1Id;
+    // A forfeit ends the match before the current turn resolves
+    const turns = reason === 'knockout' ? match.battleState.turn : match.battleState.turn - 1;
+    const durationSeconds = Math.round((Date.now() - match.startedAt) / 1000);
+
+    return withTransaction(async (client) => {
+        const locked = await client.query(
+            'SELECT id, trophies, pvp_rating, pvp_rating_deviation FROM players WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+            [[p1Id, p2Id]]
+        );
+        const rows = Object.fromEntries(locked.rows.map(row => [row.id, row]));
+        const rated = rateMatch(ratingOf(rows[winnerId]), ratingOf(rows[loserId]));
+        const outcome = { [winnerId]: rated.winner, [loserId]: rated.loser };
+        const bot = match.players.find(p => p.isBot);
+
+        const applied = {};
+        for (const playerId of [p1Id, p2Id]) {
+            if (!rows[playerId] || !PVP_MATCH_TYPES[match.matchType].rated) {
+                applied[playerId] = 0;
+                continue;
+            }
+            // Bot games move trophies a little and leave the hidden rating alone
+            const { trophyChange } = outcome[playerId];
+            const current = ratingOf(rows[playerId]);
+            const { rating, deviation } = bot ? current : outcome[playerId];
+            const delta = bot ? botTrophyChange(trophyChange) : trophyChange;
+            const after = await client.query(`
+                UPDATE players SET trophies = GREATEST(0, trophies + $1), pvp_rating = $2, pvp_rating_deviation = $3
+                WHERE id = $4 RETURNING trophies
+            `, [delta, rating, deviation, playerId]);
+            applied[playerId] = after.rows[0].trophies - rows[playerId].trophies;
+        }
+
+        const stored = (playerId) => (rows[playerId] || (bot && bot.playerId === playerId) ? playerId : null);
+        const inserted = await client.query(`
+            INSERT INTO pvp_matches (player1_id, player2_id, winner_id, player1_trophies_change,
+                player2_trophies_change, turns, duration_seconds, end_reason, seed, replay, match_type, bot_name,
+                player1_rounds, player2_rounds)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            RETURNING id
+        `, [stored(p1Id), stored(p2Id), stored(winnerId), applied[p1Id], applied[p2Id], turns, durationSeconds, reason,
+            match.seed, JSON.stringify(buildReplay(match)), match.matchType, bot ? bot.username : null,
+            match.series ? match.series.wins[p1Id] : null, match.series ? match.series.wins[p2Id] : null]);
+
+        return { trophyChanges: applied, recordId: inserted.rows[0].id };
+    });
+};
+
+// End a match: persist the result, then tell both players. `reason` is 'knockout' or 'forfeit'.
+const finishMatch = async (matchId, match, winnerId, reason) => {
+    if (match.battleState.status === 'finished') return;
+    match.battleState.status = 'finished';
+    activeMatches.delete(matchId);
+    clearTimeout(match.turnTimer);
+    match.players.forEach(p => {
+        clearTimeout(p.forfeitTimer);
+        if (playerMatches.get(p.playerId) === matchId) playerMatches.delete(p.playerId);
+    });
+
+    // Without a database everyone plays at the starting rating
+    const rated = rateMatch(ratingOf(null), ratingOf(null));
+    let trophyChanges = {};
+    const vsBot = match.players.some(p => p.isBot);
+    match.battleState.playerIds.forEach(id => {
+        const change = id === winnerId ? rated.winner.trophyChange : rated.loser.trophyChange;
+        if (!PVP_MATCH_TYPES[match.matchType].rated || match.battleState.players[id].isBot) trophyChanges[id] = 0;
+        else trophyChanges[id] = vsBot ? botTrophyChange(change) : change;
+    });
+
+    let recordId = null;
+    if (dbConnected) {
+        try {
+            ({ trophyChanges, recordId } = await recordMatchResult(match, winnerId, reason));
+        } catch (err) {
+            console.error('Match record error:', err);
+        }
+    }
+
+    match.players.forEach(p => {
+        const isWinner = p.playerId === winnerId;
+        io.to(p.socketId).emit('pvp:battle_end', {
+            winner: winnerId,
+            won: isWinner,
+            reason,
+            matchType: match.matchType,
+            series: match.series && match.series.wins,
+            trophyChange: trophyChanges[p.playerId]
+        });
+    });
+
+    io.to(spectatorRoom(matchId)).emit('pvp:battle_end', {
+        matchId, winner: winnerId, reason, trophyChanges, series: match.series && match.series.wins
+    });
+    io.in(spectatorRoom(matchId)).socketsLeave(spectatorRoom(matchId));
+
+    console.log(`🏆 Match ${matchId} ended (${reason}). Winner: ${winnerId}`);
+
+    // Tournaments hook in here to advance their bracket
+    if (match.onFinish) match.onFinish(winnerId, reason, recordId);
+};
+
+const spectatorRoom = (matchId) => `spectate:${matchId}`;
+
+// Per-fighter battle state, keyed by player id
+const fightersView = (battle) => {
+    const view = (id) => {
+        const state = battle.players[id];
+        return {
+            hp: state.hp,
+            maxHp: state.maxHp,
+            stats: state.combat,
+            loadout: state.loadout,
+            energy: state.energy,
+            cooldowns: { ...state.cooldowns },
+            statuses: state.statuses.map(status => ({ ...status })),
+            stunned: state.stunned,
+            petUsed: state.petUsed,
+            actionSubmitted: state.action !== null
+        };
+    };
+    return Object.fromEntries(battle.playerIds.map(id => [id, view(id)]));
+};
+
+// Everything a client needs to redraw a match from scratch
+const battleSnapshot = (match, playerId) => {
+    const battle = match.battleState;
+    const opponent = match.players.find(p => p.playerId !== playerId);
+    return {
+        matchId: match.id,
+        yourId: playerId,
+        opponent: {
+            id: opponent.playerId,
+            username: opponent.username,
+            trophies: opponent.trophies,
+            isBot: !!opponent.isBot,
+            connected: opponent.connected !== false
+        },
+        matchType: match.matchType,
+        series: match.series,
+        turn: battle.turn,
+        status: battle.status,
+        deadline: battle.deadline,
+        spectators: match.spectators.size,
+        players: fightersView(battle)
+    };
+};
+
+// Same as battleSnapshot, from the stands
+const spectatorSnapshot = (match) => {
+    const battle = match.battleState;
+    return {
+        matchId: match.id,
+        fighters: match.players.map(p => ({
+            id: p.playerId,
+            username: p.username,
+            trophies: p.trophies,
+            isBot: !!p.isBot,
+            connected: p.connected !== false
+        })),
+        matchType: match.matchType,
+        series: match.series,
+        turn: battle.turn,
+        status: battle.status,
+        deadline: battle.deadline,
+        spectators: match.spectators.size,
+        players: fightersView(battle)
+    };
+};
+
+// Tell both fighters how many people are watching
+const broadcastSpectatorCount = (match) => {
+    match.players.forEach(p => {
+        io.to(p.socketId).emit('pvp:spectators', { matchId: match.id, count: match.spectators.size });
+    });
+};
+
+// Players whose matches `playerId` may watch: their friends and guildmates
+const spectatablePlayers = async (playerId) => {
+    if (!dbConnected) return new Set();
+    const result = await pool.query(`
+        SELECT friend_id AS id FROM friends WHERE user_id = $1
+        UNION
+        SELECT gm.player_id FROM guild_members gm
+        JOIN guild_members mine ON mine.guild_id = gm.guild_id AND mine.player_id = $1
+    `, [playerId]);
+    return new Set(result.rows.map(row => row.id));
+};
+
+const canSpectate = (match, allowed) => match.players.some(p => allowed.has(p.playerId));
+
+// Live matches involving a friend or guildmate of the caller
+app.get('/api/pvp/live', requireAuth, async (req, res) => {
+    let allowed;
+    try {
+        allowed = await spectatablePlayers(req.playerId);
+    } catch (err) {
+        console.error('Live matches error:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+
+    const matches = [...activeMatches.values()]
+        .filter(match => match.battleState.status !== 'finished' && canSpectate(match, allowed))
+        .map(match => ({
+            matchId: match.id,
+            fighters: match.players.map(p => ({
+                id: p.playerId,
+                username: p.username,
+                trophies: p.trophies,
+                isBot: !!p.isBot,
+                hp: match.battleState.players[p.playerId].hp,
+                maxHp: match.battleState.players[p.playerId].maxHp
+            })),
+            turn: match.battleState.turn,
+            spectators: match.spectators.size,
+            startedAt: new Date(match.startedAt).toISOString()
+        }));
+    res.json(matches);
+});
+
+const stopSpectating = (socket) => {
+    const matchId = socket.data.spectating;
+    if (!matchId) return;
+    socket.data.spectating = null;
+    socket.leave(spectatorRoom(matchId));
+
+    const match = activeMatches.get(matchId);
+    if (match && match.spectators.delete(socket.id)) broadcastSpectatorCount(match);
+};
+
+// A dropped player keeps their match for the grace window; the opponent wins if they don't return
+const handleMatchDisconnect = (socket) => {
+    const playerId = socket.data.playerId;
+    const matchId = playerMatches.get(playerId);
+    const match = matchId && activeMatches.get(matchId);
+    if (!match) return;
+
+    const player = match.players.find(p => p.playerId === playerId);
+    // A newer socket already took over this match
+    if (!player || player.socketId !== socket.id) return;
+
+    player.connected = false;
+    const opponent = match.players.find(p => p.playerId !== playerId);
+    io.to(opponent.socketId).emit('pvp:opponent_disconnect', {
+        graceSeconds: Math.round(PVP_RECONNECT.graceMs / 1000)
+    });
+
+    player.forfeitTimer = setTimeout(() => {
+        console.log(`⌛ ${player.username} did not reconnect to match ${matchId}`);
+        finishMatch(matchId, match, opponent.playerId, 'forfeit');
+    }, PVP_RECONNECT.graceMs);
+};
+
+// Re-attach a player's new socket to their running match
+const resumeMatch = (socket) => {
+    const playerId = socket.data.playerId;
+    const matchId = playerMatches.get(playerId);
+    const match = matchId && activeMatches.get(matchId);
+    if (!match) return;
+
+    const player = match.players.find(p => p.playerId === playerId);
+    clearTimeout(player.forfeitTimer);
+    player.forfeitTimer = null;
+    player.socketId = socket.id;
+    player.connected = true;
+
+    socket.emit('pvp:resume', battleSnapshot(match, playerId));
+    const opponent = match.players.find(p => p.playerId !== playerId);
+    io.to(opponent.socketId).emit('pvp:opponent_reconnected');
+    console.log(`🔁 ${player.username} resumed match ${matchId}`);
+};
+
+// Start the clock for the current turn and return its deadline (epoch ms)
+const startTurnTimer = (matchId, match) => {
+    clearTimeout(match.turnTimer);
+    match.battleState.deadline = Date.now() + PVP_TURN.timeoutMs;
+    match.turnTimer = setTimeout(() => handleTurnTimeout(matchId, match), PVP_TURN.timeoutMs);
+    return match.battleState.deadline;
+};
+
+const handleTurnTimeout = (matchId, match) => {
+    const battle = match.battleState;
+    if (battle.status !== 'waiting_actions' || !activeMatches.has(matchId)) return;
+
+    const idlePlayers = battle.playerIds.filter(id => battle.players[id].action === null);
+    idlePlayers.forEach(id => {
+        battle.players[id].idleTurns++;
+        battle.players[id].action = PVP_TURN.defaultAction;
+    });
+
+    // Whoever has idled the longest forfeits once past the limit
+    const worstIdler = [...idlePlayers].sort((a, b) => battle.players[b].idleTurns - battle.players[a].idleTurns)[0];
+    if (battle.players[worstIdler].idleTurns >= PVP_TURN.maxIdleTurns) {
+        const winnerId = battle.playerIds.find(id => id !== worstIdler);
+        console.log(`⏰ ${battle.players[worstIdler].username} idled out of match ${matchId}`);
+        finishMatch(matchId, match, winnerId, 'forfeit');
+        return;
+    }
+
+    idlePlayers.forEach(id => {
+        const player = match.players.find(p => p.playerId === id);
+        io.to(player.socketId).emit('pvp:auto_action', {
+            action: PVP_TURN.defaultAction,
+            idleTurns: battle.players[id].idleTurns,
+            maxIdleTurns: PVP_TURN.maxIdleTurns
+        });
+    });
+
+    battle.status = 'resolving';
+    resolveTurn(matchId, match);
+};
+
+const botTrophyChange = (change) => Math.sign(change) * Math.max(1, Math.round(Math.abs(change) * PVP_BOTS.trophyMultiplier));
+
+// A bot fighter scaled to the player's trophies: roughly base stats at 500 trophies,
+// double at 3000. Bots never have sockets, so emits to their room go nowhere.
+const createBot = (opponent) => {
+    const botId = `bot_${uuidv4()}`;
+    const scale = Math.min(2, 0.8 + opponent.trophies / 2500);
+    return {
+        socketId: `bot:${botId}`,
+        playerId: botId,
+        username: PVP_BOTS.names[crypto.randomInt(PVP_BOTS.names.length)],
+        isBot: true,
+        difficulty: Math.round(scale * 100) / 100,
+        trophies: opponent.trophies,
+        combat: {
+            ...PVP_BASE_STATS,
+            maxHp: Math.round(PVP_BASE_STATS.maxHp * scale),
+            attack: Math.round(PVP_BASE_STATS.attack * scale),
+            defense: Math.floor(opponent.trophies / 500),
+            pet: null
+        },
+        loadout: ['special']
+    };
+};
+
+// Special when it's ready, defend when low, otherwise attack
+const chooseBotAction = (bot) => {
+    if (bot.hp <= bot.maxHp * PVP_BOTS.lowHpRatio) return 'defend';
+    if (!skillUnavailable(bot, 'special')) return 'special';
+    return 'attack';
+};
+
+// Bots act as soon as a turn opens, unless stunned
+const submitBotActions = (match) => {
+    match.battleState.playerIds.forEach(id => {
+        const fighter = match.battleState.players[id];
+        if (fighter.isBot && fighter.action === null) fighter.action = chooseBotAction(fighter);
+    });
+};
+
+// mulberry32: small, fast and identical on every platform, so clients can re-simulate replays
+const createRng = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Battle state structure per match
+const createFighter = (player) => ({
+    ...player,
+    hp: player.combat.maxHp,
+    maxHp: player.combat.maxHp,
+    action: null,
+    energy: PVP_ENERGY.start,
+    cooldowns: {}, // skillId -> turns until usable
+    statuses: [], // active shields, buffs, debuffs and poisons
+    stunned: 0, // upcoming turns this fighter loses
+    idleTurns: 0,
+    petUsed: false
+});
+
+const createBattleState = (player1, player2) => ({
+    turn: 1,
+    players: {
+        [player1.playerId]: createFighter(player1),
+        [player2.playerId]: createFighter(player2)
+    },
+    playerIds: [player1.playerId, player2.playerId],
+    status: 'waiting_actions', // 'waiting_actions', 'resolving', 'finished'
+    deadline: null
+});
+
+// Product of every buff/debuff multiplier on `stat`
+const statMultiplier = (fighter, stat) => fighter.statuses
+    .filter(status => (status.type === 'buff' || status.type === 'debuff') && status.stat === stat)
+    .reduce((total, status) => total * status.multiplier, 1);
+
+// Shields soak damage before HP; returns how much was absorbed
+const absorbWithShields = (fighter, damage) => {
+    let absorbed = 0;
+    for (const status of fighter.statuses) {
+        if (status.type !== 'shield' || absorbed === damage) continue;
+        const soaked = Math.min(status.amount, damage - absorbed);
+        status.amount -= soaked;
+        absorbed += soaked;
+    }
+    fighter.statuses = fighter.statuses.filter(status => status.type !== 'shield' || status.amount > 0);
+    return absorbed;
+};
+
+// Apply one skill effect; returns the entry reported to clients. All randomness comes
+// from the match's seeded `rng` so replays reproduce the fight exactly.
+const applyEffect = (source, target, effect, rng) => {
+    switch (effect.type) {
+        case 'damage': {
+            const variance = effect.variance || 0;
+            let multiplier = effect.power * (1 - variance + rng() * variance * 2);
+            const crit = rng() < source.combat.critChance;
+            if (crit) multiplier *= PVP_COMBAT.critMultiplier;
+
+            const attack = source.combat.attack * statMultiplier(source, 'attack');
+            const defense = target.combat.defense * statMultiplier(target, 'defense');
+            let amount = Math.max(1, Math.round(attack * multiplier - defense));
+            amount = Math.floor(amount * statMultiplier(target, 'damageTaken'));
+            const absorbed = absorbWithShields(target, amount);
+            amount -= absorbed;
+            target.hp = Math.max(0, target.hp - amount);
+            return { type: 'damage', amount, crit, absorbed };
+        }
+        case 'heal': {
+            const wanted = effect.amount ?? Math.round(target.maxHp * effect.ratio);
+            const amount = Math.min(wanted, target.maxHp - target.hp);
+            target.hp += amount;
+            return { type: 'heal', amount };
+        }
+        case 'shield':
+            target.statuses.push({ type: 'shield', amount: effect.amount, turnsLeft: effect.duration });
+            return { type: 'shield', amount: effect.amount, duration: effect.duration };
+        case 'poison':
+            target.statuses.push({ type: 'poison', amount: effect.amount, turnsLeft: effect.duration });
+            return { type: 'poison', amount: effect.amount, duration: effect.duration };
+        case 'buff':
+        case 'debuff':
+            target.statuses.push({ type: effect.type, stat: effect.stat, multiplier: effect.multiplier, turnsLeft: effect.duration });
+            return { type: effect.type, stat: effect.stat, multiplier: effect.multiplier, duration: effect.duration };
+        case 'stun':
+            target.stunned = Math.max(target.stunned, effect.duration);
+            return { type: 'stun', duration: effect.duration };
+        default:
+            return { type: effect.type, ignored: true };
+    }
+};
+
+// Poison ticks, pet passives, then every timer runs down by one turn
+const endOfTurn = (fighter, effects) => {
+    fighter.statuses.filter(status => status.type === 'poison').forEach(poison => {
+        const amount = Math.min(poison.amount, fighter.hp);
+        fighter.hp -= amount;
+        effects.push({ type: 'poison_tick', amount });
+    });
+
+    const petEffect = applyPetPassive(fighter);
+    if (petEffect) effects.push({ type: 'pet', ...petEffect });
+
+    fighter.statuses.forEach(status => status.turnsLeft--);
+    fighter.statuses = fighter.statuses.filter(status => status.turnsLeft > 0);
+
+    // The skill used this turn keeps its full cooldown
+    for (const skillId of Object.keys(fighter.cooldowns)) {
+        if (skillId !== fighter.action && fighter.cooldowns[skillId] > 0) fighter.cooldowns[skillId]--;
+    }
+    fighter.energy = Math.min(PVP_ENERGY.max, fighter.energy + PVP_ENERGY.perTurn);
+};
+
+// Why `fighter` can't use `skillId` right now, or null if they can
+const skillUnavailable = (fighter, skillId) => {
+    const skill = getSkill(skillId);
+    if (!skill || (!skill.basic && !fighter.loadout.includes(skillId))) return 'Skill not in your loadout';
+    if (fighter.cooldowns[skillId] > 0) return `${skill.name} is on cooldown!`;
+    if (fighter.energy < skill.cost) return 'Not enough energy';
+    return null;
+};
+
+// Apply the fighter's pet passive after damage; returns what happened, if anything
+const applyPetPassive = (fighter) => {
+    const passive = PET_PASSIVES[fighter.combat.pet];
+    if (!passive) return null;
+
+    if (passive.healPerTurn && fighter.hp > 0 && fighter.hp < fighter.maxHp) {
+        const healed = Math.min(passive.healPerTurn, fighter.maxHp - fighter.hp);
+        fighter.hp += healed;
+        return { pet: fighter.combat.pet, passive: passive.name, heal: healed };
+    }
+    if (passive.reviveHpRatio && fighter.hp <= 0 && !fighter.petUsed) {
+        fighter.petUsed = true;
+        fighter.hp = Math.round(fighter.maxHp * passive.reviveHpRatio);
+        return { pet: fighter.combat.pet, passive: passive.name, revivedTo: fighter.hp };
+    }
+    return null;
+};
+
+// Per-player view of the timers and statuses clients draw
+const fighterStatus = (battle) => {
+    const view = {};
+    battle.playerIds.forEach(id => {
+        const fighter = battle.players[id];
+        view[id] = {
+            energy: fighter.energy,
+            cooldowns: { ...fighter.cooldowns },
+            statuses: fighter.statuses.map(status => ({ ...status })),
+            stunned: fighter.stunned
+        };
+    });
+    return view;
+};
+
+// A knockout ends the match, or for a series just the round: the winner banks it
+// and both fighters start the next round with fresh HP, energy and cooldowns
+const endRound = (matchId, match, winnerId) => {
+    const series = match.series;
+    if (!series) return finishMatch(matchId, match, winnerId, 'knockout');
+
+    series.wins[winnerId]++;
+    if (series.wins[winnerId] >= PVP_MATCH_TYPES[match.matchType].roundsToWin) {
+        return finishMatch(matchId, match, winnerId, 'knockout');
+    }
+
+    const battle = match.battleState;
+    battle.playerIds.forEach(id => {
+        const { idleTurns } = battle.players[id];
+        battle.players[id] = { ...createFighter(match.players.find(p => p.playerId === id)), idleTurns };
+    });
+    const finishedRound = series.round;
+    series.round++;
+    battle.turn++;
+    battle.status = 'waiting_actions';
+    const deadline = startTurnTimer(matchId, match);
+    submitBotActions(match);
+
+    const roundEnd = { round: finishedRound, winner: winnerId, wins: { ...series.wins }, nextRound: series.round, deadline };
+    match.players.forEach(p => io.to(p.socketId).emit('pvp:round_end', { ...roundEnd, players: fightersView(battle) }));
+    io.to(spectatorRoom(matchId)).emit('pvp:round_end', { ...roundEnd, matchId, players: fightersView(battle) });
+    console.log(`🔔 Match ${matchId} round ${finishedRound} to ${winnerId}`);
+};
+
+// Resolve turn when both players have submitted actions
+const resolveTurn = (matchId, match) => {
+    const battle = match.battleState;
+    const [p1Id, p2Id] = battle.playerIds;
+    const p1 = battle.players[p1Id];
+    const p2 = battle.players[p2Id];
+    const hpBefore = { [p1Id]: p1.hp, [p2Id]: p2.hp };
+    match.actionLog.push({
+        turn: battle.turn,
+        ...(match.series && { round: match.series.round }),
+        actions: { [p1Id]: p1.action, [p2Id]: p2.action }
+    });
+
+    // Effects applied to each player this turn, in resolution order
+    const effects = { [p1Id]: [], [p2Id]: [] };
+
+    // Pay for both skills, then resolve every effect by priority (ties: player 1 first)
+    const queued = [];
+    battle.playerIds.forEach(id => {
+        const fighter = battle.players[id];
+        if (fighter.action === 'stunned') {
+            effects[id].push({ type: 'stunned' });
+            return;
+        }
+        const skill = getSkill(fighter.action);
+        const opponentId = id === p1Id ? p2Id : p1Id;
+        fighter.energy -= skill.cost;
+        if (skill.cooldown > 0) fighter.cooldowns[fighter.action] = skill.cooldown;
+        skill.effects.forEach(effect => queued.push({
+            sourceId: id,
+            targetId: effect.target === 'self' ? id : opponentId,
+            effect
+        }));
+    });
+
+    queued
+        .sort((a, b) => EFFECT_PRIORITY.indexOf(a.effect.type) - EFFECT_PRIORITY.indexOf(b.effect.type))
+        .forEach(({ sourceId, targetId, effect }) => {
+            const applied = applyEffect(battle.players[sourceId], battle.players[targetId], effect, match.rng);
+            effects[targetId].push({ ...applied, source: sourceId, skill: battle.players[sourceId].action });
+        });
+
+    battle.playerIds.forEach(id => endOfTurn(battle.players[id], effects[id]));
+
+    // Prepare turn result
+    const turnResult = {
+        turn: battle.turn,
+        actions: {
+            [p1Id]: p1.action,
+            [p2Id]: p2.action
+        },
+        damage: {
+            // Damage taken by each player, including poison
+            [p1Id]: effects[p1Id].filter(e => e.type === 'damage' || e.type === 'poison_tick').reduce((sum, e) => sum + e.amount, 0),
+            [p2Id]: effects[p2Id].filter(e => e.type === 'damage' || e.type === 'poison_tick').reduce((sum, e) => sum + e.amount, 0)
+        },
+        effects,
+        hp: {
+            [p1Id]: p1.hp,
+            [p2Id]: p2.hp
+        },
+        hpChange: {
+            [p1Id]: p1.hp - hpBefore[p1Id],
+            [p2Id]: p2.hp - hpBefore[p2Id]
+        },
+        specialCooldown: {
+            [p1Id]: p1.cooldowns.special || 0,
+            [p2Id]: p2.cooldowns.special || 0
+        },
+        status: fighterStatus(battle)
+    };
+
+    // Check for winner
+    let winner = null;
+    if (p1.hp <= 0 && p2.hp <= 0) {
+        winner = p1.hp > p2.hp ? p1Id : p2Id; // Whoever has more HP wins tie
+    } else if (p1.hp <= 0) {
+        winner = p2Id;
+    } else if (p2.hp <= 0) {
+        winner = p1Id;
+    }
+
+    // The next turn's clock starts as soon as this one resolves
+    const deadline = winner ? null : startTurnTimer(matchId, match);
+
+    // Send turn result to both players
+    match.players.forEach(p => {
+        io.to(p.socketId).emit('pvp:turn_result', {
+            ...turnResult,
+            deadline,
+            yourId: p.playerId,
+            opponentId: p.playerId === p1Id ? p2Id : p1Id
+        });
+    });
+    io.to(spectatorRoom(matchId)).emit('pvp:turn_result', { ...turnResult, deadline, matchId });
+
+    if (winner) {
+        endRound(matchId, match, winner);
+    } else {
+        // Reset actions for next turn; stunned fighters lose their action
+        battle.playerIds.forEach(id => {
+            const fighter = battle.players[id];
+            fighter.action = null;
+            if (fighter.stunned > 0) {
+                fighter.stunned--;
+                fighter.action = 'stunned';
+            }
+        });
+        battle.turn++;
+        battle.status = 'waiting_actions';
+        submitBotActions(match);
+
+        // Nobody can act, so move straight on
+        if (p1.action && p2.action) {
+            battle.status = 'resolving';
+            setImmediate(() => resolveTurn(matchId, match));
+        }
+    }
+};
+
+// Every socket a player has open, for invites that aren't tied to one connection
+const playerRoom = (playerId) => `player:${playerId}`;
+
+// Build a fighter for `socket`'s player from stored trophies, equipment and loadout,
+// not what the client claims. Returns { fighter } or { error }.
+const loadFighter = async (socket, playerData = {}) => {
+    const playerId = socket.data.playerId;
+    const fighter = {
+        socketId: socket.id,
+        playerId,
+        username: playerData.username,
+        combat: buildCombatStats(null),
+        loadout: PVP_LOADOUT.default,
+        trophies: playerData.trophies || 0
+    };
+    if (!dbConnected) return { fighter };
+
+    try {
+        const result = await pool.query(
+            `SELECT username, trophies, pvp_loadout, ${INVENTORY_COLUMNS} FROM players WHERE id = $1`,
+            [playerId]
+        );
+        if (result.rows.length === 0) return { error: 'Player not found' };
+        fighter.username = result.rows[0].username;
+        fighter.trophies = result.rows[0].trophies;
+        fighter.combat = buildCombatStats(result.rows[0]);
+        fighter.loadout = usableLoadout(result.rows[0]);
+        return { fighter };
+    } catch (err) {
+        console.error('Fighter lookup error:', err);
+        return { error: 'Server error' };
+    }
+};
+
+io.on('connection', (socket) => {
+    console.log('🔌 Player connected:', socket.id);
+    socket.join(playerRoom(socket.data.playerId));
+    resumeMatch(socket);
+
+    // Join matchmaking queue
+    socket.on('pvp:queue', async (playerData = {}) => {
+        const playerId = socket.data.playerId;
+        if (playerMatches.has(playerId)) {
+            socket.emit('pvp:queue_error', { error: 'Already in a match' });
+            return;
+        }
+
+        const queueType = playerData.queueType || 'ranked';
+        if (!Object.hasOwn(waitingPlayers, queueType)) {
+            socket.emit('pvp:queue_error', { error: 'Invalid queue type' });
+            return;
+        }
+
+        const { fighter, error } = await loadFighter(socket, playerData);
+        if (error) {
+            socket.emit('pvp:queue_error', { error });
+            return;
+        }
+        // The socket may have dropped, or the player started a match, while we loaded
+        if (!socket.connected) return;
+        if (playerMatches.has(playerId)) {
+            socket.emit('pvp:queue_error', { error: 'Already in a match' });
+            return;
+        }
+
+        // Only one queue entry per player; a second socket or queue replaces the first
+        leaveQueues(p => p.playerId === playerId).forEach(previous => {
+            if (previous.socketId !== socket.id) io.to(previous.socketId).emit('pvp:queue_left', { reason: 'replaced' });
+        });
+
+        const entry = { ...fighter, queueType, queuedAt: Date.now() };
+        waitingPlayers[queueType].push(entry);
+        console.log(`📋 Player queued (${queueType}):`, entry.username);
+
+        socket.emit('pvp:queued', {
+            queueType,
+            position: waitingPlayers[queueType].length,
+            band: Math.round(searchBand(entry)),
+            estimatedWaitSeconds: estimateWait(entry)
+        });
+        tryMatchPlayers();
+    });
+
+    // Leave queue
+    socket.on('pvp:leave', () => {
+        leaveQueues(p => p.socketId === socket.id);
+    });
+
+    // Submit turn action
+    socket.on('pvp:submit_action', (data = {}) => {
+        const { matchId, action } = data;
+        const match = activeMatches.get(matchId);
+        if (!match || match.battleState.status !== 'waiting_actions') return;
+
+        // Find which player this is
+        const player = match.players.find(p => p.playerId === socket.data.playerId);
+        if (!player) return;
+
+        const battlePlayer = match.battleState.players[player.playerId];
+        if (!battlePlayer || battlePlayer.action) return; // Already submitted
+
+        // Validate action
+        const unavailable = skillUnavailable(battlePlayer, action);
+        if (unavailable) {
+            socket.emit('pvp:action_error', { error: unavailable });
+            return;
+        }
+
+        battlePlayer.action = action;
+        battlePlayer.idleTurns = 0;
+        console.log(`⚔️ ${player.username} chose: ${action}`);
+
+        // Notify opponent that we're ready
+        const opponent = match.players.find(p => p.playerId !== player.playerId);
+        if (opponent) {
+            io.to(opponent.socketId).emit('pvp:opponent_ready');
+        }
+
+        // Check if both players have submitted
+        const allSubmitted = match.battleState.playerIds.every(
+            id => match.battleState.players[id].action !== null
+        );
+
+        if (allSubmitted) {
+            match.battleState.status = 'resolving';
+            resolveTurn(matchId, match);
+        }
+    });
+
+    // Watch a live match; spectators get the same turn stream but can't act
+    socket.on('pvp:spectate', async (data = {}) => {
+        const match = activeMatches.get(data.matchId);
+        if (!match) {
+            socket.emit('pvp:spectate_error', { error: 'Match not found' });
+            return;
+        }
+        if (match.players.some(p => p.playerId === socket.data.playerId)) {
+            socket.emit('pvp:spectate_error', { error: 'You are playing in this match' });
+            return;
+        }
+
+        try {
+            if (!canSpectate(match, await spectatablePlayers(socket.data.playerId))) {
+                socket.emit('pvp:spectate_error', { error: 'You can only watch friends and guildmates' });
+                return;
+            }
+        } catch (err) {
+            console.error('Spectate check error:', err);
+            socket.emit('pvp:spectate_error', { error: 'Server error' });
+            return;
+        }
+        // The match may have ended, or the socket dropped, while we checked
+        if (!socket.connected || !activeMatches.has(match.id)) return;
+
+        stopSpectating(socket);
+        socket.data.spectating = match.id;
+        socket.join(spectatorRoom(match.id));
+        match.spectators.add(socket.id);
+
+        socket.emit('pvp:spectate_state', spectatorSnapshot(match));
+        broadcastSpectatorCount(match);
+    });
+
+    socket.on('pvp:stop_spectating', () => stopSpectating(socket));
+
+    // ==================== GLOBAL CHAT ====================
+    socket.on('chat:send', async (data = {}) => {
+        const { message } = data;
+        if (typeof message !== 'string' || !message.trim() || message.length > 200) return;
+        if (!dbConnected) return;
+
+        // Messages go out under the authenticated player's name, never one the client sends
+        let username;
+        try {
+            const result = await pool.query('SELECT username FROM players WHERE id = $1', [socket.data.playerId]);
+            if (result.rows.length === 0) return;
+            username = result.rows[0].username;
+        } catch (err) {
+            console.error('Chat error:', err);
+            return;
+        }
+
+        // Broadcast to all connected users
+        io.emit('chat:message', {
+            id: Date.now(),
+            playerId: socket.data.playerId,
+            username,
+            message: message.trim().slice(0, 200),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    socket.on('disconnect', () => {
+        console.log('🔌 Player disconnected:', socket.id);
+
+        leaveQueues(p => p.socketId === socket.id);
+
+        handleMatchDisconnect(socket);
+        stopSpectating(socket);
+    });
+});
+
+// Matchmaking logic: each queue is swept separately. Oldest waiters pick first,
+// taking the closest opponent whose trophies fall inside either player's band.
+function tryMatchPlayers() {
+    Object.keys(waitingPlayers).forEach(sweepQueue);
+}
+
+function sweepQueue(queueType) {
+    const waiting = waitingPlayers[queueType];
+    if (waiting.length === 0) return;
+
+    const now = Date.now();
+    const queue = [...waiting].sort((a, b) => a.queuedAt - b.queuedAt);
+    const matched = new Set();
+
+    for (const player of queue) {
+        if (matched.has(player)) continue;
+
+        let best = null;
+        for (const candidate of queue) {
+            if (candidate === player || matched.has(candidate)) continue;
+            if (candidate.playerId === player.playerId) continue;
+
+            const gap = Math.abs(candidate.trophies - player.trophies);
+            const band = Math.max(searchBand(player, now), searchBand(candidate, now));
+            if (gap > band) continue;
+            if (!best || gap < Math.abs(best.trophies - player.trophies)) best = candidate;
+        }
+
+        if (!best) continue;
+        matched.add(player);
+        matched.add(best);
+        recordWait(player, now);
+        recordWait(best, now);
+        startMatch(player, best, queueType);
+    }
+
+    // Anyone still unmatched after the bot wait plays a bot instead
+    for (const player of queue) {
+        if (matched.has(player) || now - player.queuedAt < PVP_BOTS.waitMs) continue;
+        matched.add(player);
+        recordWait(player, now);
+        startMatch(player, createBot(player), queueType);
+    }
+
+    for (let i = waiting.length - 1; i >= 0; i--) {
+        if (matched.has(waiting[i])) waiting.splice(i, 1);
+    }
+}
+
+// Periodic sweep so widening bands can pair players who are already queued
+setInterval(tryMatchPlayers, MATCHMAKING.sweepIntervalMs);
+
+function startMatch(player1, player2, matchType = 'ranked') {
+    const matchId = uuidv4();
+
+    const seed = crypto.randomInt(0, 2 ** 32);
+    const match = {
+        id: matchId,
+        matchType,
+        players: [player1, player2],
+        battleState: createBattleState(player1, player2),
+        startedAt: Date.now(),
+        seed,
+        rng: createRng(seed),
+        actionLog: [],
+        spectators: new Set(), // socket ids
+        series: PVP_MATCH_TYPES[matchType].roundsToWin
+            ? { round: 1, wins: { [player1.playerId]: 0, [player2.playerId]: 0 } }
+            : null
+    };
+
+    activeMatches.set(matchId, match);
+    playerMatches.set(player1.playerId, matchId);
+    playerMatches.set(player2.playerId, matchId);
+    const deadline = startTurnTimer(matchId, match);
+    submitBotActions(match);
+
+    // Notify both players with battle info
+    io.to(player1.socketId).emit('pvp:match_found', {
+        matchId,
+        matchType,
+        yourId: player1.playerId,
+        stats: player1.combat,
+        loadout: player1.loadout,
+        energy: PVP_ENERGY.start,
+        opponent: {
+            id: player2.playerId,
+            username: player2.username,
+            trophies: player2.trophies,
+            stats: player2.combat,
+            isBot: !!player2.isBot,
+            difficulty: player2.difficulty
+        },
+        startHp: player1.combat.maxHp,
+        series: match.series,
+        deadline
+    });
+
+    io.to(player2.socketId).emit('pvp:match_found', {
+        matchId,
+        matchType,
+        yourId: player2.playerId,
+        stats: player2.combat,
+        loadout: player2.loadout,
+        energy: PVP_ENERGY.start,
+        opponent: {
+            id: player1.playerId,
+            username: player1.username,
+            trophies: player1.trophies,
+            stats: player1.combat,
+            isBot: !!player1.isBot,
+            difficulty: player1.difficulty
+        },
+        startHp: player2.combat.maxHp,
+        series: match.series,
+        deadline
+    });
+
+    console.log(`⚔️ Turn-based match started: ${player1.username} vs ${player2.username}`);
+    return match;
+}
+
+// ================= PVP CHALLENGES =================
+// Friendly matches against a specific friend or through a private lobby code.
+// They use the normal battle engine but never touch trophies or rating.
+
+const PVP_CHALLENGE = {
+    expiryMs: 60000,
+    codeLength: 6,
+    codeAlphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // no 0/O or 1/I
+};
+
+const pendingChallenges = new Map(); // challengeId -> challenge
+const lobbyCodes = new Map(); // code -> challengeId
+
+const generateLobbyCode = () => {
+    let code;
+    do {
+        code = Array.from({ length: PVP_CHALLENGE.codeLength },
+            () => PVP_CHALLENGE.codeAlphabet[crypto.randomInt(PVP_CHALLENGE.codeAlphabet.length)]).join('');
+    } while (lobbyCodes.has(code));
+    return code;
+};
+
+const removeChallenge = (challenge) => {
+    clearTimeout(challenge.timer);
+    pendingChallenges.delete(challenge.id);
+    if (challenge.code) lobbyCodes.delete(challenge.code);
+};
+
+// One open challenge per player; a new one replaces the old
+const cancelChallengesFrom = (playerId, reason) => {
+    pendingChallenges.forEach(challenge => {
+        if (challenge.from.playerId !== playerId) return;
+        removeChallenge(challenge);
+        if (challenge.toId) io.to(playerRoom(challenge.toId)).emit('pvp:challenge_cancelled', { challengeId: challenge.id, reason });
+    });
+};
+
+const openChallenge = (from, toId, code) => {
+    cancelChallengesFrom(from.playerId, 'replaced');
+
+    const challenge = {
+        id: uuidv4(),
+        from,
+        toId,
+        code,
+        expiresAt: Date.now() + PVP_CHALLENGE.expiryMs
+    };
+    challenge.timer = setTimeout(() => {
+        removeChallenge(challenge);
+        io.to(from.socketId).emit('pvp:challenge_expired', { challengeId: challenge.id });
+        if (toId) io.to(playerRoom(toId)).emit('pvp:challenge_expired', { challengeId: challenge.id });
+    }, PVP_CHALLENGE.expiryMs);
+
+    pendingChallenges.set(challenge.id, challenge);
+    if (code) lobbyCodes.set(code, challenge.id);
+    return challenge;
+};
+
+// Accepting player joins; both leave the ranked queue and the friendly match starts
+const acceptChallenge = async (socket, challenge) => {
+    if (playerMatches.has(challenge.from.playerId)) {
+        removeChallenge(challenge);
+        socket.emit('pvp:challenge_error', { error: 'Challenger is already in a match' });
+        return;
+    }
+
+    const { fighter, error } = await loadFighter(socket);
+    if (error) {
+        socket.emit('pvp:challenge_error', { error });
+        return;
+    }
+    // We may have dropped, or another accept won the race, while we loaded
+    if (!socket.connected) return;
+    if (!pendingChallenges.has(challenge.id)) {
+        socket.emit('pvp:challenge_error', { error: 'Challenge no longer available' });
+        return;
+    }
+    // Either side may have been matched elsewhere during the load
+    if (playerMatches.has(fighter.playerId) || playerMatches.has(challenge.from.playerId)) {
+        removeChallenge(challenge);
+        socket.emit('pvp:challenge_error', { error: 'Already in a match' });
+        return;
+    }
+    removeChallenge(challenge);
+
+    leaveQueues(p => p.playerId === fighter.playerId || p.playerId === challenge.from.playerId);
+    startMatch(challenge.from, fighter, 'friendly');
+};
+
+io.on('connection', (socket) => {
+    const playerId = socket.data.playerId;
+
+    // Challenge a friend directly
+    socket.on('pvp:challenge', async (data = {}) => {
+        const { friendId } = data;
+
+        if (!dbConnected) {
+            socket.emit('pvp:challenge_error', { error: 'Database not available' });
+            return;
+        }
+        if (!friendId || friendId === playerId) {
+            socket.emit('pvp:challenge_error', { error: 'Invalid friend' });
+            return;
+        }
+        if (playerMatches.has(playerId) || playerMatches.has(friendId)) {
+            socket.emit('pvp:challenge_error', { error: 'Already in a match' });
+            return;
+        }
+
+        try {
+            const friendship = await pool.query(
+                'SELECT 1 FROM friends WHERE user_id = $1 AND friend_id = $2',
+                [playerId, friendId]
+            );
+            if (friendship.rows.length === 0) {
+                socket.emit('pvp:challenge_error', { error: 'You can only challenge friends' });
+                return;
+            }
+        } catch (err) {
+            console.error('Challenge friend check error:', err);
+            socket.emit('pvp:challenge_error', { error: 'Server error' });
+            return;
+        }
+
+        if (!io.sockets.adapter.rooms.has(playerRoom(friendId))) {
+            socket.emit('pvp:challenge_error', { error: 'Friend is not online' });
+            return;
+        }
+
+        const { fighter, error } = await loadFighter(socket);
+        if (error) {
+            socket.emit('pvp:challenge_error', { error });
+            return;
+        }
+        // A challenge from a socket that dropped while we loaded could never start
+        if (!socket.connected) return;
+
+        const challenge = openChallenge(fighter, friendId, null);
+        socket.emit('pvp:challenge_sent', { challengeId: challenge.id, friendId, expiresAt: challenge.expiresAt });
+        io.to(playerRoom(friendId)).emit('pvp:challenge_received', {
+            challengeId: challenge.id,
+            from: { id: fighter.playerId, username: fighter.username, trophies: fighter.trophies },
+            expiresAt: challenge.expiresAt
+        });
+        console.log(`🤝 ${fighter.username} challenged ${friendId}`);
+    });
+
+    // Open a private lobby anyone with the code can join
+    socket.on('pvp:create_lobby', async () => {
+        if (playerMatches.has(playerId)) {
+            socket.emit('pvp:challenge_error', { error: 'Already in a match' });
+            return;
+        }
+
+        const { fighter, error } = await loadFighter(socket);
+        if (error) {
+            socket.emit('pvp:challenge_error', { error });
+            return;
+        }
+        // A challenge from a socket that dropped while we loaded could never start
+        if (!socket.connected) return;
+
+        const challenge = openChallenge(fighter, null, generateLobbyCode());
+        socket.emit('pvp:lobby_created', { challengeId: challenge.id, code: challenge.code, expiresAt: challenge.expiresAt });
+    });
+
+    socket.on('pvp:join_lobby', async (data = {}) => {
+        const code = typeof data.code === 'string' ? data.code.trim().toUpperCase() : '';
+        const challenge = pendingChallenges.get(lobbyCodes.get(code));
+        if (!challenge) {
+            socket.emit('pvp:challenge_error', { error: 'Lobby not found' });
+            return;
+        }
+        if (challenge.from.playerId === playerId) {
+            socket.emit('pvp:challenge_error', { error: 'You cannot join your own lobby' });
+            return;
+        }
+        if (playerMatches.has(playerId)) {
+            socket.emit('pvp:challenge_error', { error: 'Already in a match' });
+            return;
+        }
+        await acceptChallenge(socket, challenge);
+    });
+
+    // Accept or decline a friend's challenge
+    socket.on('pvp:challenge_respond', async (data = {}) => {
+        const challenge = pendingChallenges.get(data.challengeId);
+        if (!challenge || challenge.toId !== playerId) {
+            socket.emit('pvp:challenge_error', { error: 'Challenge not found' });
+            return;
+        }
+
+        if (!data.accept) {
+            removeChallenge(challenge);
+            io.to(challenge.from.socketId).emit('pvp:challenge_declined', { challengeId: challenge.id });
+            return;
+        }
+        if (playerMatches.has(playerId)) {
+            socket.emit('pvp:challenge_error', { error: 'Already in a match' });
+            return;
+        }
+        await acceptChallenge(socket, challenge);
+    });
+
+    socket.on('pvp:cancel_challenge', () => cancelChallengesFrom(playerId, 'cancelled'));
+
+    // The challenger's socket is the one that will play, so its challenges go with it
+    socket.on('disconnect', () => {
+        pendingChallenges.forEach(challenge => {
+            if (challenge.from.socketId !== socket.id) return;
+            removeChallenge(challenge);
+            if (challenge.toId) io.to(playerRoom(challenge.toId)).emit('pvp:challenge_cancelled', { challengeId: challenge.id, reason: 'disconnected' });
+        });
+    });
+});
+
+// ================= PVP TOURNAMENTS =================
+// Scheduled single-elimination brackets. One tournament is always open for
+// registration; at its start time the bracket is seeded by trophies and each
+// match runs on the normal battle engine once both players are online.
+
+const TOURNAMENT = {
+    name: 'Capybara Cup',
+    intervalMinutes: parseFloat(process.env.TOURNAMENT_INTERVAL_MINUTES) || 24 * 60,
+    maxPlayers: 32,
+    noShowMs: parseInt(process.env.TOURNAMENT_NO_SHOW_MS) || 2 * 60 * 1000, // after a match becomes ready
+    tickMs: 5000,
+    minPlayersForPrizes: parseInt(process.env.TOURNAMENT_MIN_PLAYERS_FOR_PRIZES) || 4,
+    // Snapshotted onto each tournament when it is scheduled
+    prizes: [
+        { placement: 1, currency: 'gems', amount: 500 },
+        { placement: 2, currency: 'gems', amount: 200 },
+        { placement: 3, currency: 'gold', amount: 5000 }, // both semi-final losers
+    ],
+};
+
+const tournamentRoom = (tournamentId) => `tournament:${tournamentId}`;
+const liveTournamentMatches = new Set(); // tournament_matches ids with a battle in progress
+const unsettledResults = new Map(); // tournament_matches id -> finished battle whose result didn't save
+
+// Bracket positions for seeds 1..size so the top seeds meet as late as possible,
+// e.g. size 8 -> 1, 8, 4, 5, 2, 7, 3, 6
+const bracketOrder = (size) => {
+    let order = [1];
+    while (order.length < size) {
+        const sum = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, sum - seed]);
+    }
+    return order;
+};
+
+const getTournament = async (tournamentId) => {
+    const result = await pool.query(`
+        SELECT t.*, (SELECT COUNT(*) FROM tournament_players tp WHERE tp.tournament_id = t.id)::int AS player_count
+        FROM tournaments t WHERE t.id = $1
+    `, [tournamentId]);
+    if (result.rows.length === 0) return null;
+
+    const t = result.rows[0];
+    return {
+        id: t.id,
+        name: t.name,
+        status: t.status,
+        startsAt: t.starts_at,
+        finishedAt: t.finished_at,
+        maxPlayers: t.max_players,
+        playerCount: t.player_count,
+        rounds: t.rounds,
+        prizes: t.prizes
+    };
+};
+
+// Registered players plus every bracket match, grouped by round
+const getTournamentBracket = async (tournamentId) => {
+    const players = await pool.query(`
+        SELECT tp.player_id, p.username, p.trophies, tp.seed, tp.placement
+        FROM tournament_players tp JOIN players p ON p.id = tp.player_id
+        WHERE tp.tournament_id = $1
+        ORDER BY tp.seed ASC NULLS LAST, tp.registered_at ASC
+    `, [tournamentId]);
+    const matches = await pool.query(
+        'SELECT * FROM tournament_matches WHERE tournament_id = $1 ORDER BY round, slot',
+        [tournamentId]
+    );
+
+    const byId = new Map(players.rows.map(p => [p.player_id, p]));
+    const side = (id) => id ? { playerId: id, username: byId.get(id)?.username ?? null, seed: byId.get(id)?.seed ?? null } : null;
+
+    const rounds = [];
+    matches.rows.forEach(m => {
+        if (!rounds[m.round - 1]) rounds[m.round - 1] = { round: m.round, matches: [] };
+        rounds[m.round - 1].matches.push({
+            id: m.id,
+            slot: m.slot,
+            player1: side(m.player1_id),
+            player2: side(m.player2_id),
+            winnerId: m.winner_id,
+            status: m.status,
+            result: m.result,
+            pvpMatchId: m.pvp_match_id
+        });
+    });
+
+    return {
+        players: players.rows.map(p => ({
+            playerId: p.player_id,
+            username: p.username,
+            trophies: p.trophies,
+            seed: p.seed,
+            placement: p.placement
+        })),
+        rounds
+    };
+};
+
+const broadcastTournament = async (tournamentId) => {
+    const tournament = await getTournament(tournamentId);
+    const bracket = await getTournamentBracket(tournamentId);
+    io.to(tournamentRoom(tournamentId)).emit('tournament:update', { tournament, ...bracket });
+};
+
+// Keep exactly one tournament open for registration
+const scheduleNextTournament = async () => {
+    const open = await pool.query("SELECT 1 FROM tournaments WHERE status = 'registration' LIMIT 1");
+    if (open.rows.length > 0) return;
+
+    const created = await pool.query(`
+        INSERT INTO tournaments (name, starts_at, max_players, prizes)
+        VALUES ($1, NOW() + $2 * INTERVAL '1 minute', $3, $4)
+        RETURNING id, starts_at
+    `, [TOURNAMENT.name, TOURNAMENT.intervalMinutes, TOURNAMENT.maxPlayers, JSON.stringify(TOURNAMENT.prizes)]);
+    console.log(`🏟️ Tournament ${created.rows[0].id} scheduled for ${created.rows[0].starts_at.toISOString()}`);
+};
+
+// Seed registered players by trophies and lay out the whole bracket. Empty seeds
+// become byes, which the next tick settles.
+const startTournament = async (tournamentId) => {
+    const started = await withTransaction(async (client) => {
+        const locked = await client.query(
+            "SELECT id FROM tournaments WHERE id = $1 AND status = 'registration' FOR UPDATE",
+            [tournamentId]
+        );
+        if (locked.rows.length === 0) return null;
+
+        const players = await client.query(`
+            SELECT tp.player_id FROM tournament_players tp JOIN players p ON p.id = tp.player_id
+            WHERE tp.tournament_id = $1
+            ORDER BY p.trophies DESC, tp.registered_at ASC
+        `, [tournamentId]);
+        const seeds = players.rows.map(r => r.player_id);
+
+        if (seeds.length < 2) {
+            await client.query("UPDATE tournaments SET status = 'cancelled', finished_at = NOW() WHERE id = $1", [tournamentId]);
+            return 'cancelled';
+        }
+
+        let size = 2;
+        while (size < seeds.length) size *= 2;
+        const rounds = Math.log2(size);
+        const order = bracketOrder(size);
+
+        for (let i = 0; i < seeds.length; i++) {
+            await client.query(
+                'UPDATE tournament_players SET seed = $3 WHERE tournament_id = $1 AND player_id = $2',
+                [tournamentId, seeds[i], i + 1]
+            );
+        }
+        for (let round = 1; round <= rounds; round++) {
+            for (let slot = 0; slot < size / 2 ** round; slot++) {
+                const first = round === 1;
+                await client.query(`
+                    INSERT INTO tournament_matches (tournament_id, round, slot, player1_id, player2_id, ready_at)
+                    VALUES ($1, $2, $3, $4, $5, ${first ? 'NOW()' : 'NULL'})
+                `, [tournamentId, round, slot,
+                    first ? seeds[order[slot * 2] - 1] ?? null : null,
+                    first ? seeds[order[slot * 2 + 1] - 1] ?? null : null]);
+            }
+        }
+        await client.query("UPDATE tournaments SET status = 'running', rounds = $2 WHERE id = $1", [tournamentId, rounds]);
+        return 'running';
+    });
+    if (!started) return;
+
+    console.log(`🏟️ Tournament ${tournamentId} ${started === 'running' ? 'started' : 'cancelled (not enough players)'}`);
+    io.to(tournamentRoom(tournamentId)).emit(started === 'running' ? 'tournament:started' : 'tournament:cancelled', { tournamentId });
+    await broadcastTournament(tournamentId);
+};
+
+// Credit every configured placement once the final is decided. Small fields pay nothing,
+// and a placement only pays a player who actually fought at least one bracket match
+// (not one reached purely through byes and no-shows).
+const payTournamentPrizes = async (client, tournamentId) => {
+    const field = await client.query('SELECT COUNT(*) as count FROM tournament_players WHERE tournament_id = $1', [tournamentId]);
+    if (parseInt(field.rows[0].count) < TOURNAMENT.minPlayersForPrizes) return;
+
+    const tournament = await client.query('SELECT prizes FROM tournaments WHERE id = $1', [tournamentId]);
+    for (const prize of tournament.rows[0].prizes) {
+        const winners = await client.query(`
+            SELECT tp.player_id FROM tournament_players tp
+            WHERE tp.tournament_id = $1 AND tp.placement = $2
+              AND EXISTS (
+                  SELECT 1 FROM tournament_matches tm
+                  WHERE tm.tournament_id = tp.tournament_id
+                    AND tp.player_id IN (tm.player1_id, tm.player2_id)
+                    AND tm.result IN ('knockout', 'forfeit')
+              )
+        `, [tournamentId, prize.placement]);
+        for (const { player_id: playerId } of winners.rows) {
+            // One failed payout (an account deleted mid-settle, say) mustn't keep the final open
+            await client.query('SAVEPOINT tournament_prize');
+            try {
+                await changeBalance(client, {
+                    playerId,
+                    currency: prize.currency,
+                    delta: prize.amount,
+                    reason: 'tournament_prize',
+                    source: 'tournament',
+                    metadata: { tournamentId, placement: prize.placement }
+                });
+                await client.query('RELEASE SAVEPOINT tournament_prize');
+            } catch (err) {
+                await client.query('ROLLBACK TO SAVEPOINT tournament_prize');
+                console.error(`Tournament prize error for ${playerId}:`, err);
+            }
+        }
+    }
+};
+
+// Record a bracket result, place the loser and move the winner into the next round.
+// Safe to call twice for the same match; only the first call wins.
+const settleTournamentMatch = async (tm, reportedWinnerId, result, pvpMatchId = null) => {
+    let winnerId = reportedWinnerId;
+    let loserId = winnerId === tm.player1_id ? tm.player2_id : tm.player1_id;
+
+    const outcome = await withTransaction(async (client) => {
+        // Serialise results within a tournament so sibling matches see each other
+        const tournament = await client.query('SELECT rounds FROM tournaments WHERE id = $1 FOR UPDATE', [tm.tournament_id]);
+        const { rounds } = tournament.rows[0];
+
+        // Deleted accounts drop out of tournament_players; one can't advance or be placed
+        const registered = await client.query(
+            'SELECT player_id FROM tournament_players WHERE tournament_id = $1 AND player_id = ANY($2)',
+            [tm.tournament_id, [winnerId, loserId].filter(Boolean)]
+        );
+        const present = new Set(registered.rows.map(row => row.player_id));
+        if (loserId && !present.has(loserId)) loserId = null;
+        if (winnerId && !present.has(winnerId)) [winnerId, loserId] = [loserId, null];
+
+        const updated = await client.query(`
+            UPDATE tournament_matches SET status = 'finished', winner_id = $2, result = $3, pvp_match_id = $4
+            WHERE id = $1 AND status <> 'finished'
+            RETURNING id
+        `, [tm.id, winnerId, result, pvpMatchId]);
+        if (updated.rows.length === 0) return null;
+
+        // Losers in round r share placement 2^(rounds - r) + 1: 2nd, 3rd, 5th, 9th...
+        if (loserId) {
+            await client.query(
+                'UPDATE tournament_players SET placement = $3 WHERE tournament_id = $1 AND player_id = $2',
+                [tm.tournament_id, loserId, 2 ** (rounds - tm.round) + 1]
+            );
+        }
+
+        if (tm.round === rounds) {
+            if (winnerId) {
+                await client.query(
+                    'UPDATE tournament_players SET placement = 1 WHERE tournament_id = $1 AND player_id = $2',
+                    [tm.tournament_id, winnerId]
+                );
+            }
+            await client.query("UPDATE tournaments SET status = 'finished', finished_at = NOW() WHERE id = $1", [tm.tournament_id]);
+            await payTournamentPrizes(client, tm.tournament_id);
+            return { finished: true };
+        }
+
+        const nextSlot = Math.floor(tm.slot / 2);
+        await client.query(`
+            UPDATE tournament_matches SET ${tm.slot % 2 === 0 ? 'player1_id' : 'player2_id'} = $4
+            WHERE tournament_id = $1 AND round = $2 AND slot = $3
+        `, [tm.tournament_id, tm.round + 1, nextSlot, winnerId]);
+
+        // The next match is ready once the other feeder match is decided too
+        const sibling = await client.query(
+            'SELECT status FROM tournament_matches WHERE tournament_id = $1 AND round = $2 AND slot = $3',
+            [tm.tournament_id, tm.round, tm.slot ^ 1]
+        );
+        if (sibling.rows[0].status === 'finished') {
+            await client.query(
+                'UPDATE tournament_matches SET ready_at = NOW() WHERE tournament_id = $1 AND round = $2 AND slot = $3',
+                [tm.tournament_id, tm.round + 1, nextSlot]
+            );
+        }
+        return { finished: false };
+    });
+    if (!outcome) return;
+
+    const payload = { tournamentId: tm.tournament_id, round: tm.round, result };
+    if (winnerId) io.to(playerRoom(winnerId)).emit(outcome.finished ? 'tournament:won' : 'tournament:advanced', payload);
+    if (loserId) io.to(playerRoom(loserId)).emit('tournament:eliminated', payload);
+    if (outcome.finished) {
+        console.log(`🏆 Tournament ${tm.tournament_id} won by ${winnerId}`);
+        io.to(tournamentRoom(tm.tournament_id)).emit('tournament:finished', { tournamentId: tm.tournament_id, winnerId });
+    }
+    await broadcastTournament(tm.tournament_id);
+};
+
+// Settle a finished battle. If that fails the result is kept and retried on the next
+// tick, so the match isn't mistaken for one lost to a restart and replayed.
+const recordTournamentResult = async (pending) => {
+    unsettledResults.set(pending.tm.id, pending);
+    try {
+        await settleTournamentMatch(pending.tm, pending.winnerId, pending.reason, pending.recordId);
+        unsettledResults.delete(pending.tm.id);
+    } catch (err) {
+        console.error('Tournament result error:', err);
+    }
+};
+
+// Start a bracket match on the battle engine using both players' current sockets
+const launchTournamentMatch = async (tm) => {
+    const fighters = [];
+    for (const playerId of [tm.player1_id, tm.player2_id]) {
+        const [socket] = await io.in(playerRoom(playerId)).fetchSockets();
+        if (!socket) return;
+        const { fighter, error } = await loadFighter(socket);
+        if (error) return;
+        fighters.push(fighter);
+    }
+    // Either player may have started another match while we loaded
+    if (fighters.some(f => playerMatches.has(f.playerId))) return;
+
+    const claimed = await pool.query(
+        "UPDATE tournament_matches SET status = 'live' WHERE id = $1 AND status = 'pending' RETURNING id",
+        [tm.id]
+    );
+    if (claimed.rows.length === 0) return;
+
+    leaveQueues(p => fighters.some(f => f.playerId === p.playerId));
+    const match = startMatch(fighters[0], fighters[1], 'tournament');
+    liveTournamentMatches.add(tm.id);
+    match.onFinish = (winnerId, reason, recordId) => {
+        liveTournamentMatches.delete(tm.id);
+        recordTournamentResult({ tm, winnerId, reason, recordId });
+    };
+
+    io.to(tournamentRoom(tm.tournament_id)).emit('tournament:match_started', {
+        tournamentId: tm.tournament_id, round: tm.round, slot: tm.slot, matchId: match.id
+    });
+};
 
-    // Player 1 action
-    if (p1.action === 'attack') {
-        p1Damage = 15 + Math.floor(Math.random() * 11); // 15-25
-    } else if (p1.action === 'special' && p1.specialCooldown === 0) {
-        p1Damage = 30;
-        p1.specialCooldown = 2;
+// Settle byes and no-shows and start every ready match whose players are both here
+const advanceTournament = async (tournamentId) => {
+    for (const pending of [...unsettledResults.values()]) {
+        if (pending.tm.tournament_id === tournamentId) await recordTournamentResult(pending);
     }
 
-    // Player 2 action
-    if (p2.action === 'attack') {
-        p2Damage = 15 + Math.floor(Math.random() * 11);
-    } else if (p2.action === 'special' && p2.specialCooldown === 0) {
-        p2Damage = 30;
-        p2.specialCooldown = 2;
+    // A live match with no battle or result behind it was lost to a restart; play it again
+    const live = await pool.query(
+        "SELECT id FROM tournament_matches WHERE tournament_id = $1 AND status = 'live'",
+        [tournamentId]
+    );
+    const orphaned = live.rows
+        .filter(m => !liveTournamentMatches.has(m.id) && !unsettledResults.has(m.id))
+        .map(m => m.id);
+    if (orphaned.length > 0) {
+        await pool.query(
+            "UPDATE tournament_matches SET status = 'pending', ready_at = NOW() WHERE id = ANY($1) AND status = 'live'",
+            [orphaned]
+        );
     }
 
-    // Apply defense reduction
-    if (p2.action === 'defend') p1Damage = Math.floor(p1Damage * 0.5);
-    if (p1.action === 'defend') p2Damage = Math.floor(p2Damage * 0.5);
-
-    // Apply damage
-    p1.hp = Math.max(0, p1.hp - p2Damage);
-    p2.hp = Math.max(0, p2.hp - p1Damage);
-
-    // Reduce cooldowns
-    if (p1.specialCooldown > 0 && p1.action !== 'special') p1.specialCooldown--;
-    if (p2.specialCooldown > 0 && p2.action !== 'special') p2.specialCooldown--;
-
-    // Prepare turn result
-    const turnResult = {
-        turn: battle.turn,
-        actions: {
-            [p1Id]: p1.action,
-            [p2Id]: p2.action
-        },
-        damage: {
-            [p1Id]: p2Damage, // Damage taken by p1
-            [p2Id]: p1Damage  // Damage taken by p2
-        },
-        hp: {
-            [p1Id]: p1.hp,
-            [p2Id]: p2.hp
-        },
-        specialCooldown: {
-            [p1Id]: p1.specialCooldown,
-            [p2Id]: p2.specialCooldown
+    const pending = await pool.query(`
+        SELECT tm.*, s1.seed AS seed1, s2.seed AS seed2,
+               tm.ready_at <= NOW() - $2 * INTERVAL '1 millisecond' AS overdue
+        FROM tournament_matches tm
+        LEFT JOIN tournament_players s1 ON s1.tournament_id = tm.tournament_id AND s1.player_id = tm.player1_id
+        LEFT JOIN tournament_players s2 ON s2.tournament_id = tm.tournament_id AND s2.player_id = tm.player2_id
+        WHERE tm.tournament_id = $1 AND tm.status = 'pending' AND tm.ready_at IS NOT NULL
+        ORDER BY tm.round, tm.slot
+    `, [tournamentId, TOURNAMENT.noShowMs]);
+
+    for (const tm of pending.rows) {
+        if (!tm.player1_id || !tm.player2_id) {
+            await settleTournamentMatch(tm, tm.player1_id || tm.player2_id, 'bye');
+            continue;
         }
-    };
 
-    // Check for winner
-    let winner = null;
-    if (p1.hp <= 0 && p2.hp <= 0) {
-        winner = p1.hp > p2.hp ? p1Id : p2Id; // Whoever has more HP wins tie
-    } else if (p1.hp <= 0) {
-        winner = p2Id;
-    } else if (p2.hp <= 0) {
-        winner = p1Id;
+        // Present means connected and not busy in another battle
+        const present = [tm.player1_id, tm.player2_id]
+            .filter(id => io.sockets.adapter.rooms.has(playerRoom(id)) && !playerMatches.has(id));
+        if (present.length === 2) {
+            await launchTournamentMatch(tm);
+        } else if (tm.overdue) {
+            // Whoever turned up advances; if neither did, the higher seed does
+            const higherSeed = (tm.seed1 ?? Infinity) <= (tm.seed2 ?? Infinity) ? tm.player1_id : tm.player2_id;
+            await settleTournamentMatch(tm, present.length === 1 ? present[0] : higherSeed, 'no_show');
+        }
     }
+};
 
-    // Send turn result to both players
-    match.players.forEach(p => {
-        io.to(p.socketId).emit('pvp:turn_result', {
-            ...turnResult,
-            yourId: p.playerId,
-            opponentId: p.playerId === p1Id ? p2Id : p1Id
-        });
-    });
+let tournamentTickRunning = false;
+const tournamentTick = async () => {
+    if (!dbConnected || tournamentTickRunning) return;
+    tournamentTickRunning = true;
+    try {
+        const due = await pool.query("SELECT id FROM tournaments WHERE status = 'registration' AND starts_at <= NOW()");
+        for (const { id } of due.rows) await startTournament(id);
 
-    if (winner) {
-        battle.status = 'finished';
-        const winnerTrophyGain = 20;
-        const loserTrophyLoss = 10;
-
-        match.players.forEach(p => {
-            const isWinner = p.playerId === winner;
-            io.to(p.socketId).emit('pvp:battle_end', {
-                winner: winner,
-                won: isWinner,
-                trophyChange: isWinner ? winnerTrophyGain : -loserTrophyLoss
-            });
-        });
+        await scheduleNextTournament();
 
-        console.log(`🏆 Match ${matchId} ended. Winner: ${winner}`);
-        activeMatches.delete(matchId);
-    } else {
-        // Reset actions for next turn
-        p1.action = null;
-        p2.action = null;
-        battle.turn++;
-        battle.status = 'waiting_actions';
+        const running = await pool.query("SELECT id FROM tournaments WHERE status = 'running'");
+        for (const { id } of running.rows) await advanceTournament(id);
+    } catch (err) {
+        console.error('Tournament tick error:', err);
+    } finally {
+        tournamentTickRunning = false;
     }
 };
 
-io.on('connection', (socket) => {
-    console.log('🔌 Player connected:', socket.id);
+setInterval(tournamentTick, TOURNAMENT.tickMs);
 
-    // Join matchmaking queue
-    socket.on('pvp:queue', (playerData) => {
-        console.log('📋 Player queued:', playerData.username);
-
-        const existingIndex = waitingPlayers.findIndex(p => p.playerId === playerData.playerId);
-        if (existingIndex > -1) waitingPlayers.splice(existingIndex, 1);
-
-        waitingPlayers.push({
-            socketId: socket.id,
-            playerId: playerData.playerId,
-            username: playerData.username,
-            stats: playerData.stats,
-            trophies: playerData.trophies || 0
-        });
+// Upcoming and running tournaments plus recently finished ones
+app.get('/api/tournaments', async (req, res) => {
+    if (!dbConnected) return res.status(503).json({ error: 'Database not available' });
 
-        socket.emit('pvp:queued', { position: waitingPlayers.length });
-        tryMatchPlayers();
-    });
+    try {
+        const result = await pool.query(`
+            (SELECT id FROM tournaments WHERE status IN ('registration', 'running') ORDER BY starts_at)
+            UNION ALL
+            (SELECT id FROM tournaments WHERE status IN ('finished', 'cancelled') ORDER BY starts_at DESC LIMIT 10)
+        `);
+        const tournaments = [];
+        for (const { id } of result.rows) tournaments.push(await getTournament(id));
+        res.json({ tournaments });
+    } catch (err) {
+        console.error('Tournament list error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-    // Leave queue
-    socket.on('pvp:leave', () => {
-        const index = waitingPlayers.findIndex(p => p.socketId === socket.id);
-        if (index > -1) waitingPlayers.splice(index, 1);
-    });
+app.get('/api/tournaments/:id', async (req, res) => {
+    if (!dbConnected) return res.status(503).json({ error: 'Database not available' });
+    const tournamentId = parseInt(req.params.id);
+    if (!Number.isInteger(tournamentId)) return res.status(400).json({ error: 'Invalid tournament id' });
 
-    // Submit turn action
-    socket.on('pvp:submit_action', (data) => {
-        const { matchId, action } = data;
-        const match = activeMatches.get(matchId);
-        if (!match || match.battleState.status !== 'waiting_actions') return;
+    try {
+        const tournament = await getTournament(tournamentId);
+        if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+        res.json({ tournament, ...await getTournamentBracket(tournamentId) });
+    } catch (err) {
+        console.error('Tournament fetch error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        // Find which player this is
-        const player = match.players.find(p => p.socketId === socket.id);
-        if (!player) return;
+app.post('/api/tournaments/:id/register', requireAuth, async (req, res) => {
+    if (!dbConnected) return res.status(503).json({ error: 'Database not available' });
+    const tournamentId = parseInt(req.params.id);
+    if (!Number.isInteger(tournamentId)) return res.status(400).json({ error: 'Invalid tournament id' });
 
-        const battlePlayer = match.battleState.players[player.playerId];
-        if (!battlePlayer || battlePlayer.action) return; // Already submitted
+    try {
+        const error = await withTransaction(async (client) => {
+            const tournament = await client.query(
+                'SELECT status, starts_at > NOW() AS open, max_players FROM tournaments WHERE id = $1 FOR UPDATE',
+                [tournamentId]
+            );
+            if (tournament.rows.length === 0) return [404, 'Tournament not found'];
+            const { status, open, max_players: maxPlayers } = tournament.rows[0];
+            if (status !== 'registration' || !open) return [400, 'Registration is closed'];
 
-        // Validate action
-        if (!['attack', 'defend', 'special'].includes(action)) return;
-        if (action === 'special' && battlePlayer.specialCooldown > 0) {
-            socket.emit('pvp:action_error', { error: 'Special is on cooldown!' });
-            return;
-        }
+            const count = await client.query('SELECT COUNT(*)::int AS n FROM tournament_players WHERE tournament_id = $1', [tournamentId]);
+            if (count.rows[0].n >= maxPlayers) return [400, 'Tournament is full'];
 
-        battlePlayer.action = action;
-        console.log(`⚔️ ${player.username} chose: ${action}`);
+            const inserted = await client.query(
+                'INSERT INTO tournament_players (tournament_id, player_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING player_id',
+                [tournamentId, req.playerId]
+            );
+            if (inserted.rows.length === 0) return [400, 'Already registered'];
+            return null;
+        });
+        if (error) return res.status(error[0]).json({ error: error[1] });
 
-        // Notify opponent that we're ready
-        const opponent = match.players.find(p => p.socketId !== socket.id);
-        if (opponent) {
-            io.to(opponent.socketId).emit('pvp:opponent_ready');
-        }
+        await broadcastTournament(tournamentId);
+        res.json({ success: true, tournament: await getTournament(tournamentId) });
+    } catch (err) {
+        console.error('Tournament register error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        // Check if both players have submitted
-        const allSubmitted = match.battleState.playerIds.every(
-            id => match.battleState.players[id].action !== null
-        );
+app.delete('/api/tournaments/:id/register', requireAuth, async (req, res) => {
+    if (!dbConnected) return res.status(503).json({ error: 'Database not available' });
+    const tournamentId = parseInt(req.params.id);
+    if (!Number.isInteger(tournamentId)) return res.status(400).json({ error: 'Invalid tournament id' });
 
-        if (allSubmitted) {
-            match.battleState.status = 'resolving';
-            resolveTurn(matchId, match);
+    try {
+        const result = await pool.query(`
+            DELETE FROM tournament_players tp USING tournaments t
+            WHERE tp.tournament_id = $1 AND tp.player_id = $2
+              AND t.id = tp.tournament_id AND t.status = 'registration'
+            RETURNING tp.player_id
+        `, [tournamentId, req.playerId]);
+        if (result.rows.length === 0) return res.status(400).json({ error: 'Not registered or registration closed' });
+
+        await broadcastTournament(tournamentId);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Tournament unregister error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Live bracket updates
+io.on('connection', (socket) => {
+    socket.on('tournament:watch', async (data = {}) => {
+        const tournamentId = parseInt(data.tournamentId);
+        if (!Number.isInteger(tournamentId) || !dbConnected) return;
+        socket.join(tournamentRoom(tournamentId));
+        try {
+            const tournament = await getTournament(tournamentId);
+            if (tournament) socket.emit('tournament:update', { tournament, ...await getTournamentBracket(tournamentId) });
+        } catch (err) {
+            console.error('Tournament watch error:', err);
         }
     });
 
-    // ==================== GLOBAL CHAT ====================
-    socket.on('chat:send', (data) => {
-        const { username, message } = data;
-        if (!username || !message || message.length > 200) return;
-
-        // Broadcast to all connected users
-        io.emit('chat:message', {
-            id: Date.now(),
-            username,
-            message: message.trim().slice(0, 200),
-            timestamp: new Date().toISOString()
-        });
+    socket.on('tournament:unwatch', (data = {}) => {
+        socket.leave(tournamentRoom(parseInt(data.tournamentId)));
     });
+});
 
-    socket.on('disconnect', () => {
-        console.log('🔌 Player disconnected:', socket.id);
+// ================= SEASONS =================
+// Fixed-length PvP seasons. At rollover every player's final trophies are archived,
+// rewards are paid by trophy tier and trophies are soft-reset toward a floor.
+
+const SEASON = {
+    lengthDays: parseFloat(process.env.SEASON_LENGTH_DAYS) || 28,
+    checkIntervalMs: parseInt(process.env.SEASON_CHECK_INTERVAL_MS) || 60000,
+    // Trophies above the floor are cut by this fraction; anything at or below is untouched
+    resetFloor: 1000,
+    resetFraction: 0.5,
+    // Highest tier first; players below the last tier get nothing
+    tiers: [
+        { tier: 'legend', minTrophies: 3000, gold: 10000, gems: 500 },
+        { tier: 'diamond', minTrophies: 2000, gold: 5000, gems: 250 },
+        { tier: 'gold', minTrophies: 1000, gold: 2500, gems: 100 },
+        { tier: 'silver', minTrophies: 400, gold: 1000, gems: 25 },
+        { tier: 'bronze', minTrophies: 100, gold: 250, gems: 0 },
+    ],
+};
 
-        const index = waitingPlayers.findIndex(p => p.socketId === socket.id);
-        if (index > -1) waitingPlayers.splice(index, 1);
+const seasonTier = (trophies) => SEASON.tiers.find(t => trophies >= t.minTrophies) || null;
 
-        activeMatches.forEach((match, matchId) => {
-            if (match.players.some(p => p.socketId === socket.id)) {
-                const opponent = match.players.find(p => p.socketId !== socket.id);
-                if (opponent) {
-                    io.to(opponent.socketId).emit('pvp:opponent_disconnect');
-                }
-                activeMatches.delete(matchId);
-            }
-        });
-    });
+const softResetTrophies = (trophies) => trophies <= SEASON.resetFloor
+    ? trophies
+    : SEASON.resetFloor + Math.floor((trophies - SEASON.resetFloor) * (1 - SEASON.resetFraction));
+
+const formatSeason = (row) => ({
+    id: row.id,
+    name: row.name,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at
 });
 
-// Matchmaking logic
-function tryMatchPlayers() {
-    if (waitingPlayers.length < 2) return;
+const openSeason = (client) => client.query(`
+    INSERT INTO seasons (name, starts_at, ends_at)
+    VALUES ('Season ' || (SELECT COUNT(*) + 1 FROM seasons), NOW(), NOW() + $1 * INTERVAL '1 day')
+    RETURNING *
+`, [SEASON.lengthDays]);
+
+// Archive standings, pay tier rewards and soft-reset trophies for one finished season,
+// then open the next. The season row lock keeps two rollovers from overlapping.
+const endSeason = async (seasonId) => {
+    const next = await withTransaction(async (client) => {
+        const season = await client.query(
+            "SELECT id FROM seasons WHERE id = $1 AND status = 'active' FOR UPDATE",
+            [seasonId]
+        );
+        if (season.rows.length === 0) return null;
 
-    const player1 = waitingPlayers.shift();
-    const player2 = waitingPlayers.shift();
+        // Hold trophies still while they're archived and reset
+        await client.query('SELECT id FROM players WHERE trophies > 0 FOR UPDATE');
+        const standings = await client.query(`
+            SELECT id, trophies, RANK() OVER (ORDER BY trophies DESC) AS rank
+            FROM players WHERE trophies > 0
+        `);
+        for (const player of standings.rows) {
+            const tier = seasonTier(player.trophies);
+            const rewards = tier ? { gold: tier.gold, gems: tier.gems } : null;
+            await client.query(`
+                INSERT INTO season_results (season_id, player_id, final_trophies, rank, tier, trophies_after_reset, rewards)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `, [seasonId, player.id, player.trophies, player.rank, tier?.tier ?? null,
+                softResetTrophies(player.trophies), rewards && JSON.stringify(rewards)]);
+
+            if (!tier) continue;
+            const entry = { playerId: player.id, reason: 'season_reward', source: 'season', metadata: { seasonId, tier: tier.tier } };
+            if (tier.gold > 0) await changeBalance(client, { ...entry, currency: 'gold', delta: tier.gold });
+            if (tier.gems > 0) await changeBalance(client, { ...entry, currency: 'gems', delta: tier.gems });
+        }
 
-    const matchId = uuidv4();
+        await client.query(`
+            UPDATE players SET trophies = $1 + FLOOR((trophies - $1) * (1 - $2::real))
+            WHERE trophies > $1
+        `, [SEASON.resetFloor, SEASON.resetFraction]);
+        await client.query("UPDATE seasons SET status = 'ended', ended_at = NOW() WHERE id = $1", [seasonId]);
+        return (await openSeason(client)).rows[0];
+    });
+    if (!next) return;
 
-    const match = {
-        id: matchId,
-        players: [player1, player2],
-        battleState: createBattleState(player1, player2),
-        startedAt: Date.now()
-    };
+    console.log(`📅 Season ${seasonId} ended; ${next.name} runs until ${next.ends_at.toISOString()}`);
+    io.emit('season:rollover', { endedSeasonId: seasonId, season: formatSeason(next) });
+};
 
-    activeMatches.set(matchId, match);
+let seasonCheckRunning = false;
+const checkSeasons = async () => {
+    if (!dbConnected || seasonCheckRunning) return;
+    seasonCheckRunning = true;
+    try {
+        const due = await pool.query("SELECT id FROM seasons WHERE status = 'active' AND ends_at <= NOW()");
+        for (const { id } of due.rows) await endSeason(id);
+    } catch (err) {
+        console.error('Season rollover error:', err);
+    } finally {
+        seasonCheckRunning = false;
+    }
+};
 
-    // Notify both players with battle info
-    io.to(player1.socketId).emit('pvp:match_found', {
-        matchId,
-        yourId: player1.playerId,
-        opponent: {
-            id: player2.playerId,
-            username: player2.username,
-            trophies: player2.trophies
-        },
-        startHp: 100
-    });
+// Make sure a season is running before the server takes traffic
+const initSeasons = async () => {
+    if (!dbConnected) return;
+    try {
+        const active = await pool.query("SELECT 1 FROM seasons WHERE status = 'active' LIMIT 1");
+        if (active.rows.length === 0) {
+            const season = (await openSeason(pool)).rows[0];
+            console.log(`📅 ${season.name} started`);
+        }
+        await checkSeasons();
+    } catch (err) {
+        console.error('Season init error:', err);
+    }
+    setInterval(checkSeasons, SEASON.checkIntervalMs);
+};
 
-    io.to(player2.socketId).emit('pvp:match_found', {
-        matchId,
-        yourId: player2.playerId,
-        opponent: {
-            id: player1.playerId,
-            username: player1.username,
-            trophies: player1.trophies
-        },
-        startHp: 100
-    });
+app.get('/api/seasons/current', async (req, res) => {
+    if (!dbConnected) return res.status(503).json({ error: 'Database not available' });
 
-    console.log(`⚔️ Turn-based match started: ${player1.username} vs ${player2.username}`);
-}
+    try {
+        const result = await pool.query(
+            "SELECT * FROM seasons WHERE status = 'active' ORDER BY starts_at DESC LIMIT 1"
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: 'No active season' });
+
+        const season = formatSeason(result.rows[0]);
+        res.json({
+            season: { ...season, secondsRemaining: Math.max(0, Math.round((season.endsAt - Date.now()) / 1000)) },
+            tiers: SEASON.tiers,
+            softReset: { floor: SEASON.resetFloor, fraction: SEASON.resetFraction }
+        });
+    } catch (err) {
+        console.error('Season fetch error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// A player's archived results, most recent season first
+app.get('/api/player/:id/seasons', async (req, res) => {
+    if (!dbConnected) return res.status(503).json({ error: 'Database not available' });
+
+    try {
+        const result = await pool.query(`
+            SELECT s.id, s.name, s.starts_at, s.ends_at, r.final_trophies, r.rank, r.tier,
+                   r.trophies_after_reset, r.rewards
+            FROM season_results r JOIN seasons s ON s.id = r.season_id
+            WHERE r.player_id = $1
+            ORDER BY s.starts_at DESC
+        `, [req.params.id]);
+
+        res.json(result.rows.map(r => ({
+            season: formatSeason(r),
+            finalTrophies: r.final_trophies,
+            rank: r.rank,
+            tier: r.tier,
+            trophiesAfterReset: r.trophies_after_reset,
+            rewards: r.rewards
+        })));
+    } catch (err) {
+        console.error('Season history error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
 // ================= GUILD SYSTEM =================
 
@@ -978,7 +4581,7 @@ const initGuildTables = async () => {
 };
 
 // Create guild
-app.post('/api/guilds/create', async (req, res) => {
+app.post('/api/guilds/create', requireSelf('playerId'), async (req, res) => {
     const { playerId, guildName } = req.body;
 
     if (!playerId || !guildName || guildName.length < 3) {
@@ -1157,7 +4760,7 @@ app.get('/api/guilds/player/:playerId', async (req, res) => {
 });
 
 // Join guild
-app.post('/api/guilds/:guildId/join', async (req, res) => {
+app.post('/api/guilds/:guildId/join', requireSelf('playerId'), async (req, res) => {
     const { guildId } = req.params;
     const { playerId } = req.body;
 
@@ -1198,7 +4801,7 @@ app.post('/api/guilds/:guildId/join', async (req, res) => {
 });
 
 // Leave guild
-app.post('/api/guilds/:guildId/leave', async (req, res) => {
+app.post('/api/guilds/:guildId/leave', requireSelf('playerId'), async (req, res) => {
     const { guildId } = req.params;
     const { playerId } = req.body;
 
@@ -1210,10 +4813,25 @@ app.post('/api/guilds/:guildId/leave', async (req, res) => {
                 return res.status(400).json({ error: 'Leader cannot leave. Transfer leadership first.' });
             }
 
-            await pool.query(
-                'DELETE FROM guild_members WHERE guild_id = $1 AND player_id = $2',
-                [guildId, playerId]
-            );
+            await withTransaction(async (client) => {
+                // Guild coins don't follow the player out of the guild
+                const member = await client.query(
+                    'SELECT guild_coins FROM guild_members WHERE guild_id = $1 AND player_id = $2',
+                    [guildId, playerId]
+                );
+                const coins = member.rows[0]?.guild_coins || 0;
+                if (coins > 0) {
+                    await changeBalance(client, {
+                        playerId, currency: 'guild_coins', guildId, delta: -coins,
+                        reason: 'guild_left', source: 'POST /api/guilds/:guildId/leave'
+                    });
+                }
+
+                await client.query(
+                    'DELETE FROM guild_members WHERE guild_id = $1 AND player_id = $2',
+                    [guildId, playerId]
+                );
+            });
             res.json({ success: true });
         } else {
             const guild = guilds.get(guildId);
@@ -1228,7 +4846,7 @@ app.post('/api/guilds/:guildId/leave', async (req, res) => {
 });
 
 // Send invite
-app.post('/api/guilds/:guildId/invite', async (req, res) => {
+app.post('/api/guilds/:guildId/invite', requireSelf('fromPlayerId'), async (req, res) => {
     const { guildId } = req.params;
     const { fromPlayerId, toUsername } = req.body;
 
@@ -1270,7 +4888,7 @@ app.post('/api/guilds/:guildId/invite', async (req, res) => {
 });
 
 // Get pending invites for player
-app.get('/api/guilds/invites/:playerId', async (req, res) => {
+app.get('/api/guilds/invites/:playerId', requireSelf('playerId'), async (req, res) => {
     const { playerId } = req.params;
 
     try {
@@ -1293,7 +4911,7 @@ app.get('/api/guilds/invites/:playerId', async (req, res) => {
 });
 
 // Accept invite
-app.post('/api/guilds/invites/:inviteId/accept', async (req, res) => {
+app.post('/api/guilds/invites/:inviteId/accept', requireSelf('playerId'), async (req, res) => {
     const { inviteId } = req.params;
     const { playerId } = req.body;
 
@@ -1333,7 +4951,7 @@ app.post('/api/guilds/invites/:inviteId/accept', async (req, res) => {
 });
 
 // Attack guild boss
-app.post('/api/guilds/:guildId/boss/attack', async (req, res) => {
+app.post('/api/guilds/:guildId/boss/attack', requireSelf('playerId'), async (req, res) => {
     const { guildId } = req.params;
     const { playerId } = req.body;
 
@@ -1367,25 +4985,35 @@ app.post('/api/guilds/:guildId/boss/attack', async (req, res) => {
                 return res.status(400).json({ error: 'No attacks remaining today' });
             }
 
-            // Record damage
-            await pool.query(`
-                INSERT INTO guild_boss_damage (guild_id, player_id, damage, damage_date)
-                VALUES ($1, $2, $3, CURRENT_DATE)
-                ON CONFLICT (guild_id, player_id, damage_date)
-                DO UPDATE SET damage = guild_boss_damage.damage + $3
-            `, [guildId, playerId, damage]);
-
-            // Update attacks and coins
-            await pool.query(`
-                UPDATE guild_members 
-                SET daily_attacks = $1, last_attack_date = CURRENT_DATE, guild_coins = guild_coins + $2
-                WHERE guild_id = $3 AND player_id = $4
-            `, [attacksLeft - 1, coinsEarned, guildId, playerId]);
+            await withTransaction(async (client) => {
+                // Record damage
+                await client.query(`
+                    INSERT INTO guild_boss_damage (guild_id, player_id, damage, damage_date)
+                    VALUES ($1, $2, $3, CURRENT_DATE)
+                    ON CONFLICT (guild_id, player_id, damage_date)
+                    DO UPDATE SET damage = guild_boss_damage.damage + $3
+                `, [guildId, playerId, damage]);
+
+                // Update attacks and coins
+                await client.query(`
+                    UPDATE guild_members 
+                    SET daily_attacks = $1, last_attack_date = CURRENT_DATE
+                    WHERE guild_id = $2 AND player_id = $3
+                `, [attacksLeft - 1, guildId, playerId]);
+
+                if (coinsEarned > 0) {
+                    await changeBalance(client, {
+                        playerId, currency: 'guild_coins', guildId, delta: coinsEarned,
+                        reason: 'guild_boss_attack', source: 'POST /api/guilds/:guildId/boss/attack',
+                        metadata: { damage }
+                    });
+                }
 
-            // Update guild boss HP
-            await pool.query(`
-                UPDATE guilds SET boss_hp = GREATEST(0, boss_hp - $1) WHERE id = $2
-            `, [damage, guildId]);
+                // Update guild boss HP
+                await client.query(`
+                    UPDATE guilds SET boss_hp = GREATEST(0, boss_hp - $1) WHERE id = $2
+                `, [damage, guildId]);
+            });
 
             res.json({
                 success: true,
@@ -1440,9 +5068,6 @@ app.get('/api/guilds/:guildId/boss', async (req, res) => {
     }
 });
 
-// Initialize guild tables on startup
-initGuildTables();
-
 // ================= CLAN WARS SYSTEM =================
 
 // In-memory war storage
@@ -1450,6 +5075,90 @@ const activeWars = new Map(); // warId -> warState
 const guildToWar = new Map(); // guildId -> warId
 const warQueue = []; // Guilds waiting for matchmaking
 
+// Per-member rewards when a war ends
+const WAR_REWARDS = {
+    win: { guildCoins: 500, gems: 50 },
+    participation: { guildCoins: 100, gems: 10 }, // losers and draws
+};
+const WAR_DURATION_MS = parseInt(process.env.WAR_DURATION_MS) || 10 * 60 * 1000;
+const WAR_DAILY_GEM_CAP = parseInt(process.env.WAR_DAILY_GEM_CAP) || 100; // per player per calendar day
+
+// Credit the members of a guild who attacked in the war. War gems are capped per day from the ledger.
+const grantWarRewards = async (warId, guildId, attackerIds, reward) => {
+    if (!pool || attackerIds.length === 0) return;
+    await withTransaction(async (client) => {
+        const members = await client.query(
+            'SELECT player_id FROM guild_members WHERE guild_id = $1 AND player_id = ANY($2)',
+            [guildId, attackerIds]
+        );
+        for (const { player_id: playerId } of members.rows) {
+            await client.query('SELECT id FROM players WHERE id = $1 FOR UPDATE', [playerId]);
+            const today = await client.query(`
+                SELECT COALESCE(SUM(delta), 0) as gems FROM currency_ledger
+                WHERE player_id = $1 AND currency = 'gems' AND reason = 'war_reward' AND created_at >= CURRENT_DATE
+            `, [playerId]);
+            const gems = Math.min(reward.gems, Math.max(0, WAR_DAILY_GEM_CAP - parseInt(today.rows[0].gems)));
+
+            const entry = { playerId, reason: 'war_reward', source: 'war_end', metadata: { warId } };
+            await changeBalance(client, { ...entry, currency: 'guild_coins', guildId, delta: reward.guildCoins });
+            if (gems > 0) await changeBalance(client, { ...entry, currency: 'gems', delta: gems });
+        }
+    });
+};
+
+// Settle a war: pick the winner and pay the guilds' attackers.
+// The phase flips before any await so the war can only be settled once.
+const endWar = async (warId) => {
+    const war = activeWars.get(warId);
+    if (!war || war.phase === 'ended') return;
+
+    // Determine winner
+    let winner = null;
+    if (war.scores.guild1 > war.scores.guild2) {
+        winner = war.guild1.id;
+    } else if (war.scores.guild2 > war.scores.guild1) {
+        winner = war.guild2.id;
+    }
+
+    war.phase = 'ended';
+    war.winner = winner;
+    war.endedAt = new Date().toISOString();
+
+    const rewardsByGuild = {};
+    for (const guild of [war.guild1, war.guild2]) {
+        // Only members who actually attacked are paid; a guild that never fought earns nothing
+        const attackerIds = [...new Set(war.attacks.filter(a => a.attackerGuildId === guild.id).map(a => a.attackerId))];
+        rewardsByGuild[guild.id] = attackerIds.length === 0 ? null :
+            guild.id === winner ? WAR_REWARDS.win : WAR_REWARDS.participation;
+        if (!rewardsByGuild[guild.id]) continue;
+        try {
+            await grantWarRewards(warId, guild.id, attackerIds, rewardsByGuild[guild.id]);
+        } catch (err) {
+            console.error('War rewards error:', err);
+        }
+    }
+
+    // Broadcast war ended
+    broadcastWarUpdate(warId, 'war_ended', {
+        winner,
+        winnerName: winner === war.guild1.id ? war.guild1.name :
+            winner === war.guild2.id ? war.guild2.name : 'Draw',
+        scores: war.scores,
+        rewards: winner ? WAR_REWARDS.win : WAR_REWARDS.participation,
+        rewardsByGuild
+    });
+
+    // Clean up after a delay
+    setTimeout(() => {
+        guildToWar.delete(war.guild1.id);
+        guildToWar.delete(war.guild2.id);
+        activeWars.delete(warId);
+        console.log(`🏁 War ${warId} cleaned up`);
+    }, 60000); // 1 minute delay for results viewing
+
+    console.log(`🏆 War ended: ${war.guild1.name} (${war.scores.guild1}) vs ${war.guild2.name} (${war.scores.guild2})`);
+};
+
 // War state structure:
 // { id, guild1: {id, name, emoji, members[]}, guild2: {id, name, emoji, members[]}, 
 //   scores: {guild1: 0, guild2: 0}, attacks: [], phase: 'battle'|'ended', 
@@ -1502,7 +5211,7 @@ const getGuildInfo = async (guildId) => {
 };
 
 // Start war matchmaking
-app.post('/api/wars/start', async (req, res) => {
+app.post('/api/wars/start', requireSelf('playerId'), async (req, res) => {
     const { guildId, playerId } = req.body;
 
     if (!guildId || !playerId) {
@@ -1510,6 +5219,17 @@ app.post('/api/wars/start', async (req, res) => {
     }
 
     try {
+        // Players can only send their own guild to war
+        if (pool) {
+            const member = await pool.query(
+                'SELECT 1 FROM guild_members WHERE guild_id = $1 AND player_id = $2',
+                [guildId, playerId]
+            );
+            if (member.rows.length === 0) {
+                return res.status(403).json({ error: 'Not a member of this guild' });
+            }
+        }
+
         // Check if guild already in a war
         if (guildToWar.has(guildId)) {
             const existingWarId = guildToWar.get(guildId);
@@ -1546,7 +5266,7 @@ app.post('/api/wars/start', async (req, res) => {
             // Create a new war!
             const warId = uuidv4();
             const now = new Date();
-            const endsAt = new Date(now.getTime() + 10 * 60 * 1000); // 10 minutes
+            const endsAt = new Date(now.getTime() + WAR_DURATION_MS);
 
             const warState = {
                 id: warId,
@@ -1564,6 +5284,9 @@ app.post('/api/wars/start', async (req, res) => {
             guildToWar.set(guildId, warId);
             guildToWar.set(opponent.guildId, warId);
 
+            // The server ends the war when time runs out
+            setTimeout(() => endWar(warId), WAR_DURATION_MS);
+
             // Notify both guilds
             broadcastWarUpdate(warId, 'war_started', warState);
 
@@ -1622,9 +5345,9 @@ app.get('/api/wars/:warId', async (req, res) => {
 });
 
 // Attack in war
-app.post('/api/wars/:warId/attack', async (req, res) => {
+app.post('/api/wars/:warId/attack', requireSelf('playerId'), async (req, res) => {
     const { warId } = req.params;
-    const { playerId, attackerGuildId, targetName, targetPower } = req.body;
+    const { playerId, targetName, targetPower } = req.body;
 
     try {
         const war = activeWars.get(warId);
@@ -1636,6 +5359,19 @@ app.post('/api/wars/:warId/attack', async (req, res) => {
             return res.status(400).json({ error: 'War has ended' });
         }
 
+        // The attacker's side comes from their membership, not the request
+        const member = await pool.query(
+            'SELECT guild_id FROM guild_members WHERE player_id = $1 AND guild_id IN ($2, $3)',
+            [playerId, war.guild1.id, war.guild2.id]
+        );
+        if (member.rows.length === 0) {
+            return res.status(403).json({ error: 'Not a member of either guild' });
+        }
+        const attackerGuildId = member.rows[0].guild_id;
+        if (war.phase !== 'battle') {
+            return res.status(400).json({ error: 'War has ended' });
+        }
+
         // Determine which side the attacker is on
         const isGuild1 = war.guild1.id === attackerGuildId;
         const attackerGuild = isGuild1 ? war.guild1 : war.guild2;
@@ -1667,6 +5403,7 @@ app.post('/api/wars/:warId/attack', async (req, res) => {
         const attack = {
             id: uuidv4(),
             attacker: attackerName,
+            attackerId: playerId,
             attackerGuildId,
             target: targetName,
             stars,
@@ -1700,7 +5437,7 @@ app.post('/api/wars/:warId/attack', async (req, res) => {
 });
 
 // End war
-app.post('/api/wars/:warId/end', async (req, res) => {
+app.post('/api/wars/:warId/end', requireAuth, async (req, res) => {
     const { warId } = req.params;
 
     try {
@@ -1708,41 +5445,35 @@ app.post('/api/wars/:warId/end', async (req, res) => {
         if (!war) {
             return res.status(404).json({ error: 'War not found' });
         }
-
-        // Determine winner
-        let winner = null;
-        if (war.scores.guild1 > war.scores.guild2) {
-            winner = war.guild1.id;
-        } else if (war.scores.guild2 > war.scores.guild1) {
-            winner = war.guild2.id;
+        if (war.phase === 'ended') {
+            return res.status(400).json({ error: 'War has already ended' });
+        }
+        // Rewards are only paid once the war has run its full length
+        if (Date.now() < new Date(war.endsAt).getTime()) {
+            return res.status(400).json({ error: 'War is still in progress' });
         }
 
-        war.phase = 'ended';
-        war.winner = winner;
-        war.endedAt = new Date().toISOString();
-
-        // Broadcast war ended
-        broadcastWarUpdate(warId, 'war_ended', {
-            winner,
-            winnerName: winner === war.guild1.id ? war.guild1.name :
-                winner === war.guild2.id ? war.guild2.name : 'Draw',
-            scores: war.scores,
-            rewards: winner ? { guildCoins: 500, gems: 50 } : { guildCoins: 100, gems: 10 }
-        });
+        // Only members of the warring guilds can end it
+        if (pool) {
+            const member = await pool.query(
+                'SELECT 1 FROM guild_members WHERE player_id = $1 AND guild_id IN ($2, $3)',
+                [req.playerId, war.guild1.id, war.guild2.id]
+            );
+            if (member.rows.length === 0) {
+                return res.status(403).json({ error: 'Not a member of either guild' });
+            }
+        }
 
-        // Clean up after a delay
-        setTimeout(() => {
-            guildToWar.delete(war.guild1.id);
-            guildToWar.delete(war.guild2.id);
-            activeWars.delete(warId);
-            console.log(`🏁 War ${warId} cleaned up`);
-        }, 60000); // 1 minute delay for results viewing
+        // The server timer may have settled it while we checked membership
+        if (war.phase === 'ended') {
+            return res.status(400).json({ error: 'War has already ended' });
+        }
 
-        console.log(`🏆 War ended: ${war.guild1.name} (${war.scores.guild1}) vs ${war.guild2.name} (${war.scores.guild2})`);
+        await endWar(warId);
 
         res.json({
             success: true,
-            winner,
+            winner: war.winner,
             scores: war.scores
         });
     } catch (err) {
@@ -1752,9 +5483,25 @@ app.post('/api/wars/:warId/end', async (req, res) => {
 });
 
 // Cancel matchmaking
-app.post('/api/wars/cancel', async (req, res) => {
+app.post('/api/wars/cancel', requireAuth, async (req, res) => {
     const { guildId } = req.body;
 
+    // Only the guild's leader or an officer can pull it out of matchmaking
+    if (pool) {
+        try {
+            const member = await pool.query(
+                "SELECT 1 FROM guild_members WHERE guild_id = $1 AND player_id = $2 AND role IN ('leader', 'officer')",
+                [guildId, req.playerId]
+            );
+            if (member.rows.length === 0) {
+                return res.status(403).json({ error: 'Only guild leaders and officers can cancel matchmaking' });
+            }
+        } catch (err) {
+            console.error('War cancel error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+    }
+
     const index = warQueue.findIndex(q => q.guildId === guildId);
     if (index !== -1) {
         warQueue.splice(index, 1);
@@ -1784,7 +5531,8 @@ app.get('/api/wars/queue/:guildId', async (req, res) => {
 // ================= START SERVER =================
 const PORT = process.env.PORT || 3001;
 
-initDB().then(() => {
+// Guild tables reference players, so they're created after the core schema
+initDB().then(initGuildTables).then(initLedger).then(initSeasons).then(() => {
     server.listen(PORT, () => {
         console.log(`🚀 Server running on port ${PORT}`);
         console.log(`🎮 Capybara Adventure Backend Ready!`);